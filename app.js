@@ -20,6 +20,12 @@ class App {
         
         // Lip-sync mode: 'viseme' (Azure) or 'a2f' (Audio2Face)
         this.lipSyncMode = 'viseme';
+        this.streamingMessage = null;   // Assistant bubble filled by a streamed reply
+        this.replyMessage = null;       // Bubble of the reply being spoken (marked if interrupted)
+        this.replyText = '';            // Its text, and the word being spoken ({start, end} or null)
+        this.replyHighlight = null;
+        this.captions = null;           // On-canvas caption overlay (caption-overlay.js)
+        this.autoLanguages = [];        // Recognizer languages of the language select's Auto option
         this.a2fServerUrl = 'http://localhost:8000';  // Default for local testing
         
         // iOS/Safari detection
@@ -44,8 +50,30 @@ class App {
             voiceSelect: document.getElementById('voice-select'),
             speedSlider: document.getElementById('speed-slider'),
             speedValue: document.getElementById('speed-value'),
+            bargeInSelect: document.getElementById('barge-in-select'),
+            captionSelect: document.getElementById('caption-select'),
+            languageSelect: document.getElementById('language-select'),
+            styleSelect: document.getElementById('style-select'),
+            styleDegreeSlider: document.getElementById('style-degree-slider'),
+            styleDegreeValue: document.getElementById('style-degree-value'),
+            avatarContainer: document.querySelector('.avatar-container'),
             intensitySlider: document.getElementById('intensity-slider'),
             intensityValue: document.getElementById('intensity-value'),
+            responseSlider: document.getElementById('response-slider'),
+            responseValue: document.getElementById('response-value'),
+            filterSelects: document.querySelectorAll('.filter-select'),
+            syncOffsetSlider: document.getElementById('sync-offset-slider'),
+            syncOffsetValue: document.getElementById('sync-offset-value'),
+            syncAutoBtn: document.getElementById('sync-auto-btn'),
+            modelSelect: document.getElementById('model-select'),
+            visemeProfileSelect: document.getElementById('viseme-profile-select'),
+            calibrationChannel: document.getElementById('calibration-channel'),
+            calibrationName: document.getElementById('calibration-name'),
+            calibrationSliders: document.querySelectorAll('#calibration-panel input[type="range"]'),
+            calibrationResetBtn: document.getElementById('calibration-reset-btn'),
+            calibrationSaveBtn: document.getElementById('calibration-save-btn'),
+            calibrationLoadBtn: document.getElementById('calibration-load-btn'),
+            calibrationFile: document.getElementById('calibration-file'),
             chatMessages: document.getElementById('chat-messages'),
             userInput: document.getElementById('user-input'),
             micBtn: document.getElementById('mic-btn'),
@@ -70,6 +98,16 @@ class App {
             isMobile: this.isMobile 
         });
 
+        // User blendshape name rules must be in place before the model is mapped
+        if (window.Retargeting && typeof CONFIG !== 'undefined' && CONFIG.retargeting) {
+            window.Retargeting.setRules(CONFIG.retargeting);
+        }
+
+        // Per-group temporal filter overrides for the blendshape streams
+        if (window.TemporalFilter && typeof CONFIG !== 'undefined' && CONFIG.temporalFilter) {
+            window.TemporalFilter.setSettings({ groups: CONFIG.temporalFilter });
+        }
+
         // Initialize 3D renderer first (doesn't need audio)
         this.renderer = new AvatarRenderer(this.elements.canvas);
 
@@ -77,6 +115,11 @@ class App {
         try {
             await this.renderer.loadModel('assets/avatar.glb');
             this.elements.loadingOverlay.classList.add('hidden');
+
+            // Apply the default viseme mapping and calibration profiles for this model
+            const modelOption = this.elements.modelSelect?.selectedOptions[0];
+            await this.applyVisemeProfile(modelOption?.dataset.visemeProfile || '');
+            await this.applyCalibrationProfile(modelOption?.dataset.calibrationProfile || '');
         } catch (error) {
             const loadingText = this.elements.loadingOverlay.querySelector('.loading-text') || 
                                this.elements.loadingOverlay.querySelector('p');
@@ -95,6 +138,38 @@ class App {
 
         // Initialize Azure services (Viseme-based lip sync)
         this.azure = new AzureServicesViseme();
+        this.azure.setVisemeMapper(this.renderer.visemeMapper);
+        if (typeof CONFIG !== 'undefined' && CONFIG.streamReplies === false) {
+            this.azure.setStreamingEnabled(false);
+        }
+        if (typeof CONFIG !== 'undefined' && CONFIG.bargeIn) {
+            this.azure.setBargeInEnabled(true);
+        }
+        if (typeof CONFIG !== 'undefined' && CONFIG.speechCues === false) {
+            this.azure.setCuesInPrompt(false);
+        }
+        if (typeof CONFIG !== 'undefined' && CONFIG.speakingStyle) {
+            this.azure.setSpeakingStyle(CONFIG.speakingStyle);
+        }
+        if (typeof CONFIG !== 'undefined' && CONFIG.languages?.length) {
+            this.azure.setLanguages(CONFIG.languages).catch(error => {
+                this.addSystemMessage('Could not set languages: ' + error.message);
+            });
+        }
+        if (typeof CONFIG !== 'undefined' && CONFIG.languageVoices) {
+            this.azure.setLanguageVoices(CONFIG.languageVoices);
+        }
+        this.autoLanguages = this.azure.languages;
+        if (typeof CONFIG !== 'undefined' && CONFIG.tools === false) {
+            this.azure.setToolsEnabled(false);
+        }
+        this.azure.setToolContext({ app: this, renderer: this.renderer });
+
+        // Caption overlay on the avatar
+        if (window.CaptionOverlay && this.elements.avatarContainer) {
+            this.captions = new CaptionOverlay(this.elements.avatarContainer);
+            this.captions.setEnabled(typeof CONFIG !== 'undefined' && !!CONFIG.captions);
+        }
         this.setupAzureCallbacks();
 
         // Initialize Audio2Face client
@@ -189,14 +264,12 @@ class App {
         this.a2fClient.configure({
             serverUrl: this.a2fServerUrl,
             intensity: 1.0,
-            smoothing: 0.3,
             useWebSocket: true
         });
 
-        // Initialize with Three.js scene
-        if (this.renderer && this.renderer.scene) {
-            const meshCount = this.a2fClient.initializeWithScene(this.renderer.scene);
-            console.log(`A2F Client initialized with ${meshCount} meshes`);
+        // Drive the avatar through the renderer's BlendShapeMapper
+        if (this.renderer && this.renderer.blendShapeMapper) {
+            this.a2fClient.setBlendShapeMapper(this.renderer.blendShapeMapper);
         }
 
         // Set up A2F event callbacks
@@ -274,6 +347,149 @@ class App {
         }
     }
 
+    /**
+     * Show the active audio sync offset (manual calibration or automatic estimate)
+     */
+    updateSyncDisplay(state) {
+        if (this.elements.syncOffsetSlider) {
+            this.elements.syncOffsetSlider.value = state.offsetMs;
+        }
+        if (this.elements.syncOffsetValue) {
+            this.elements.syncOffsetValue.textContent = state.manualOffsetMs !== null
+                ? `${state.offsetMs}ms`
+                : `AUTO ${state.offsetMs}ms`;
+        }
+    }
+
+    /**
+     * Load a blendshape calibration profile (empty URL = uncalibrated)
+     */
+    async applyCalibrationProfile(url) {
+        const mapper = this.renderer?.blendShapeMapper;
+        if (!mapper) return;
+
+        if (!url) {
+            mapper.clearCalibration();
+        } else {
+            try {
+                await mapper.loadCalibration(url);
+            } catch (error) {
+                console.warn('Calibration profile unavailable, using raw channels:', error.message);
+                mapper.clearCalibration();
+            }
+        }
+
+        this.updateCalibrationPanel();
+    }
+
+    /**
+     * Wire the calibration panel: channel picker, shaping sliders, JSON save/load
+     */
+    setupCalibrationPanel() {
+        const mapper = this.renderer?.blendShapeMapper;
+        const { calibrationChannel, calibrationSliders } = this.elements;
+        if (!mapper || !calibrationChannel) return;
+
+        mapper.VALID_BLENDSHAPE_INDICES.forEach(idx => {
+            const option = document.createElement('option');
+            option.value = option.textContent = mapper.AZURE_BLENDSHAPES[idx];
+            calibrationChannel.appendChild(option);
+        });
+
+        calibrationChannel.addEventListener('change', () => this.updateCalibrationPanel());
+
+        calibrationSliders.forEach(slider => {
+            slider.addEventListener('input', () => {
+                const values = {};
+                calibrationSliders.forEach(s => values[s.dataset.key] = parseFloat(s.value));
+                mapper.setChannelCalibration(calibrationChannel.value, values);
+                this.updateCalibrationPanel();
+            });
+        });
+
+        this.elements.calibrationResetBtn?.addEventListener('click', () => {
+            mapper.setChannelCalibration(calibrationChannel.value, null);
+            this.updateCalibrationPanel();
+        });
+
+        this.elements.calibrationSaveBtn?.addEventListener('click', () => {
+            const profile = mapper.getCalibrationProfile();
+            const blob = new Blob([JSON.stringify(profile, null, 4)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${profile.name.toLowerCase().replace(/\s+/g, '-')}.calibration.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+
+        this.elements.calibrationLoadBtn?.addEventListener('click', () => {
+            this.elements.calibrationFile?.click();
+        });
+
+        this.elements.calibrationFile?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                mapper.setCalibration(JSON.parse(await file.text()));
+            } catch (error) {
+                this.addSystemMessage('Could not load calibration: ' + error.message);
+            }
+            e.target.value = '';
+            this.updateCalibrationPanel();
+        });
+
+        this.updateCalibrationPanel();
+    }
+
+    /**
+     * Show the selected channel's calibration in the panel
+     */
+    updateCalibrationPanel() {
+        const mapper = this.renderer?.blendShapeMapper;
+        const { calibrationChannel, calibrationSliders, calibrationName } = this.elements;
+        if (!mapper || !calibrationChannel?.value) return;
+
+        const values = mapper.getChannelCalibration(calibrationChannel.value);
+        calibrationSliders.forEach(slider => {
+            slider.value = values[slider.dataset.key];
+            const label = document.getElementById(slider.id + '-value');
+            if (label) label.textContent = values[slider.dataset.key].toFixed(2);
+        });
+
+        if (calibrationName) {
+            calibrationName.textContent = mapper.calibration ? mapper.calibration.name.toUpperCase() : 'NONE';
+        }
+    }
+
+    /**
+     * Load a viseme mapping profile (empty URL = built-in table)
+     * Falls back to the built-in table if the profile can't be loaded
+     */
+    async applyVisemeProfile(url) {
+        const mapper = this.renderer?.visemeMapper;
+        if (!mapper) return;
+
+        if (this.elements.visemeProfileSelect) {
+            this.elements.visemeProfileSelect.value = url;
+        }
+
+        if (!url) {
+            mapper.clearProfile();
+            return;
+        }
+
+        try {
+            await mapper.loadProfile(url);
+        } catch (error) {
+            console.warn('Viseme profile unavailable, using built-in table:', error.message);
+            mapper.clearProfile();
+            if (this.elements.visemeProfileSelect) {
+                this.elements.visemeProfileSelect.value = '';
+            }
+        }
+    }
+
     /**
      * Check if CONFIG global has valid-looking credentials
      */
@@ -372,24 +588,106 @@ class App {
             console.log('Speaking:', isSpeaking);
         });
 
+        // A2F animates on its own clock - hold it with the audio
+        this.azure.on('paused', () => this.a2fClient?.pause());
+        this.azure.on('resumed', () => this.a2fClient?.resume());
+
         this.azure.on('transcript', (data) => {
             if (data.isFinal && data.text.trim()) {
                 this.removeSystemMessage('🎤 Listening...');
                 this.addMessage('user', data.text);
-                this.azure.stopListening();
-                this.azure.processMessage(data.text);
+                // Barge-in keeps the mic open so the user can cut the reply off
+                if (!this.azure.bargeInEnabled) {
+                    this.azure.stopListening();
+                }
+                this.azure.processMessage(data.text, { language: data.language });
             }
         });
 
         this.azure.on('thinking', (isThinking) => {
             if (isThinking) {
+                this.replyMessage = null;
                 this.addSystemMessage('💭 Thinking...');
             }
         });
 
+        // Barge-in: the bubble keeps only what was actually said
+        this.azure.on('interrupted', ({ spoken, fromChat }) => {
+            this.captions?.hide();
+            if (!fromChat) return;
+
+            this.removeSystemMessage('💭 Thinking...');
+            const msg = this.streamingMessage || this.replyMessage;
+            if (msg) {
+                msg.textContent = spoken ? `${spoken} —` : '—';
+            }
+            this.streamingMessage = null;
+            this.replyMessage = null;
+        });
+
+        // Streamed replies fill one bubble as the text arrives
+        this.azure.on('responseStart', () => {
+            this.removeSystemMessage('💭 Thinking...');
+            this.streamingMessage = this.addMessage('assistant', '');
+            this.replyMessage = this.streamingMessage;
+            this.replyText = '';
+            this.replyHighlight = null;
+        });
+
+        this.azure.on('responseDelta', (delta) => {
+            if (!this.streamingMessage) return;
+            this.replyText = this.azure.getReplyText();   // Style and cue tags removed
+            this.renderReplyMessage();
+            this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
+        });
+
         this.azure.on('response', (text) => {
             this.removeSystemMessage('💭 Thinking...');
-            this.addMessage('assistant', text);
+            if (this.streamingMessage) {
+                this.streamingMessage = null;
+            } else {
+                this.replyMessage = this.addMessage('assistant', text);
+                this.replyHighlight = null;
+            }
+            this.replyText = text;
+            this.renderReplyMessage();
+        });
+
+        // Karaoke: highlight each word in the bubble (and caption) as it is heard
+        this.azure.on('word', (word) => {
+            this.captions?.showWord(word);
+            if (word.fromChat && this.replyMessage) {
+                this.replyHighlight = { start: word.start, end: word.end };
+                this.renderReplyMessage();
+            }
+        });
+
+        // Speaking style: the face matches the voice while the reply plays
+        this.azure.on('style', ({ style, degree }) => {
+            const expressions = this.renderer.expressionSystem;
+            if (!expressions) return;
+            if (!style) {
+                // Back to the emotion the AI holds (set_emotion), or neutral
+                expressions.restoreAffect();
+                return;
+            }
+            expressions.setAffect(window.SpeakingStyles ? SpeakingStyles.getFace(style, degree) : {});
+        });
+
+        // Speech cues: expression, gesture or camera move at the tagged word
+        this.azure.on('cue', ({ name }) => {
+            window.SpeechCues?.dispatch(name, {
+                expressions: this.renderer.expressionSystem,
+                renderer: this.renderer
+            });
+        });
+
+        this.azure.on('wordsEnd', ({ status }) => {
+            this.captions?.hide();
+            if (this.replyHighlight && status === 'ended') {
+                this.replyHighlight = null;
+                this.renderReplyMessage();
+            }
         });
 
         // Hook into audio synthesis for A2F mode
@@ -397,7 +695,10 @@ class App {
             if (this.lipSyncMode === 'a2f' && this.a2fClient) {
                 console.log('Routing audio through A2F...');
                 try {
-                    await this.a2fClient.processAndAnimate(data.audioBlob, data.audioElement);
+                    await this.a2fClient.processAndAnimate(data.audioBlob, data.audioElement, {
+                        rate: data.rate,
+                        visemeQueue: data.visemeQueue
+                    });
                 } catch (error) {
                     console.error('A2F processing failed:', error);
                     // Audio will still play, just without A2F animation
@@ -449,6 +750,96 @@ class App {
             });
         }
 
+        // Language: auto-detect among the configured languages, or one fixed language
+        if (this.elements.languageSelect) {
+            const languages = this.azure.languages;
+            this.elements.languageSelect.value = languages.length > 1 ? 'auto' : languages[0];
+            this.elements.languageSelect.addEventListener('change', () => {
+                const value = this.elements.languageSelect.value;
+                this.azure.setLanguages(value === 'auto' ? this.autoLanguages : [value]).catch(error => {
+                    this.addSystemMessage('Could not switch language: ' + error.message);
+                });
+            });
+        }
+
+        // Speaking style ('auto' = the AI picks per reply) and its strength
+        if (this.elements.styleSelect) {
+            this.elements.styleSelect.value = this.azure.speakingStyle.style;
+            this.elements.styleSelect.addEventListener('change', () => {
+                this.azure.setSpeakingStyle({ style: this.elements.styleSelect.value });
+            });
+        }
+        if (this.elements.styleDegreeSlider) {
+            const degree = this.azure.speakingStyle.degree;
+            this.elements.styleDegreeSlider.value = degree;
+            this.elements.styleDegreeValue.textContent = degree.toFixed(1) + 'x';
+            this.elements.styleDegreeSlider.addEventListener('input', () => {
+                const value = parseFloat(this.elements.styleDegreeSlider.value);
+                this.elements.styleDegreeValue.textContent = value.toFixed(1) + 'x';
+                this.azure.setSpeakingStyle({ degree: value });
+            });
+        }
+
+        // Barge-in (interrupt the avatar by speaking)
+        if (this.elements.bargeInSelect) {
+            this.elements.bargeInSelect.value = this.azure.bargeInEnabled ? 'on' : 'off';
+            this.elements.bargeInSelect.addEventListener('change', () => {
+                this.azure.setBargeInEnabled(this.elements.bargeInSelect.value === 'on');
+            });
+        }
+
+        // Caption overlay on the avatar
+        if (this.elements.captionSelect && this.captions) {
+            this.elements.captionSelect.value = this.captions.enabled ? 'on' : 'off';
+            this.elements.captionSelect.addEventListener('change', () => {
+                this.captions.setEnabled(this.elements.captionSelect.value === 'on');
+            });
+        }
+
+        // Lip-sync smoothing response time (shared by viseme, A2F and blendshape paths)
+        if (this.elements.responseSlider && window.Smoothing) {
+            this.elements.responseSlider.addEventListener('input', () => {
+                const responseMs = parseInt(this.elements.responseSlider.value);
+                this.elements.responseValue.textContent = responseMs + 'ms';
+                window.Smoothing.setSettings({ responseMs });
+            });
+        }
+
+        // Temporal filter per channel group (A2F and 3D blendshape paths)
+        if (window.TemporalFilter) {
+            this.elements.filterSelects.forEach(select => {
+                const groups = select.dataset.groups.split(',');
+                select.value = window.TemporalFilter.settings.groups[groups[0]]?.type || 'none';
+
+                select.addEventListener('change', () => {
+                    groups.forEach(group => window.TemporalFilter.setGroupFilter(group, select.value));
+                });
+            });
+        }
+
+        // Audio sync calibration (per output device)
+        if (window.AudioSync) {
+            window.AudioSync.on('change', (state) => this.updateSyncDisplay(state));
+            window.AudioSync.init();
+
+            this.elements.syncOffsetSlider?.addEventListener('input', () => {
+                window.AudioSync.setManualOffset(parseInt(this.elements.syncOffsetSlider.value));
+            });
+            this.elements.syncAutoBtn?.addEventListener('click', () => {
+                window.AudioSync.clearManualOffset();
+            });
+        }
+
+        // Viseme mapping profile
+        if (this.elements.visemeProfileSelect) {
+            this.elements.visemeProfileSelect.addEventListener('change', (e) => {
+                this.applyVisemeProfile(e.target.value);
+            });
+        }
+
+        // Blendshape calibration panel
+        this.setupCalibrationPanel();
+
         // Lip-sync mode toggle
         if (this.elements.lipSyncToggle) {
             this.elements.lipSyncToggle.addEventListener('change', async (e) => {
@@ -544,6 +935,19 @@ class App {
         this.elements.connectBtn.disabled = false;
     }
 
+    /**
+     * Switch the voice (voice select and synthesis), e.g. from the switch_voice tool
+     * Voices missing from the select are added to it.
+     */
+    setVoice(name) {
+        const select = this.elements.voiceSelect;
+        if (![...select.options].some(option => option.value === name)) {
+            select.add(new Option(name, name));
+        }
+        select.value = name;
+        this.azure.updateVoiceSettings(name, parseFloat(this.elements.speedSlider.value));
+    }
+
     async sendMessage() {
         const text = this.elements.userInput.value.trim();
         if (!text) return;
@@ -581,6 +985,33 @@ class App {
         msg.textContent = text;
         this.elements.chatMessages.appendChild(msg);
         this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
+        return msg;
+    }
+
+    /**
+     * Render the reply bubble: words already spoken, the current word, the rest
+     */
+    renderReplyMessage() {
+        const msg = this.replyMessage;
+        if (!msg) return;
+
+        const text = this.replyText;
+        const highlight = this.replyHighlight;
+        if (!highlight) {
+            msg.textContent = text;
+            return;
+        }
+
+        const spoken = document.createElement('span');
+        spoken.className = 'word-spoken';
+        spoken.textContent = text.slice(0, highlight.start);
+
+        const current = document.createElement('span');
+        current.className = 'word-current';
+        current.textContent = text.slice(highlight.start, highlight.end);
+
+        msg.textContent = '';
+        msg.append(spoken, current, text.slice(highlight.end));
     }
 
     addSystemMessage(text) {
@@ -613,8 +1044,8 @@ class App {
                 if (this.elements.debugFrames) {
                     this.elements.debugFrames.textContent = state.totalFrames;
                 }
-                if (typeof BlendShapeMapper !== 'undefined' && this.elements.debugActive) {
-                    const stats = BlendShapeMapper.getStats();
+                if (this.renderer?.blendShapeMapper && this.elements.debugActive) {
+                    const stats = this.renderer.blendShapeMapper.getStats();
                     this.elements.debugActive.textContent = 
                         `${stats.activeCount} (max: ${stats.maxName} @ ${stats.maxValue})`;
                 }
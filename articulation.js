@@ -0,0 +1,98 @@
+/**
+ * Speech-Rate-Aware Articulation
+ * Scales mouth amplitude down for fast speech and up for slow speech
+ *
+ * Real speakers under-articulate when talking fast. Two measures feed the scale:
+ * - The prosody rate the utterance was synthesized at (speed slider)
+ * - The viseme density (visemes per second) around the playhead, compared
+ *   with what that rate should produce - catches fast voices and dense text
+ *
+ * The result multiplies the user's intensity, it never replaces it.
+ */
+
+const Articulation = {
+    settings: {
+        enabled: true,
+        rateExponent: 0.5,        // scale ∝ rate^-rateExponent (1.5x -> ~0.82, 0.5x -> ~1.41 before clamping)
+        densityExponent: 0.3,     // scale ∝ (measured / expected density)^-densityExponent
+        referenceDensity: 12,     // Non-silent visemes per second at rate 1.0
+        densityWindowMs: 1000,    // Window centred on the playhead used to measure density
+        minDensitySamples: 4,     // Fewer visemes in the window = density ignored
+        minScale: 0.6,
+        maxScale: 1.25
+    },
+
+    /**
+     * Amplitude factor for the prosody rate alone
+     * @param {number} rate - Prosody rate (1.0 = normal)
+     */
+    rateScale(rate) {
+        if (!rate || rate <= 0) return 1;
+        return Math.pow(rate, -this.settings.rateExponent);
+    },
+
+    /**
+     * Measure non-silent visemes per second around a point in the timeline
+     * @param {Array<{visemeId: number, audioOffset: number}>} queue - Viseme timeline (ms)
+     * @param {number} elapsed - Playback time in ms
+     * @returns {number|null} Visemes per second, or null if there is too little data
+     */
+    measureDensity(queue, elapsed) {
+        if (!queue || queue.length === 0) return null;
+
+        const { densityWindowMs, minDensitySamples } = this.settings;
+        const from = Math.max(0, elapsed - densityWindowMs / 2);
+        const to = from + densityWindowMs;
+
+        let count = 0;
+        let first = Infinity;
+        let last = -Infinity;
+        for (const { visemeId, audioOffset } of queue) {
+            if (audioOffset < from) continue;
+            if (audioOffset > to) break;
+            if (visemeId === 0) continue;
+
+            count++;
+            first = Math.min(first, audioOffset);
+            last = Math.max(last, audioOffset);
+        }
+
+        if (count < minDensitySamples || last <= first) return null;
+
+        // Measure over the span actually covered (the window may hang past the end of speech)
+        return (count - 1) / ((last - first) / 1000);
+    },
+
+    /**
+     * Combined amplitude factor for a point in an utterance
+     * @param {number} rate - Prosody rate the utterance was synthesized at
+     * @param {Array<{visemeId: number, audioOffset: number}>} [queue] - Viseme timeline (ms)
+     * @param {number} [elapsed] - Playback time in ms
+     * @returns {number} Factor to multiply the user's intensity by
+     */
+    getScale(rate, queue = null, elapsed = 0) {
+        if (!this.settings.enabled) return 1;
+
+        const { densityExponent, referenceDensity, minScale, maxScale } = this.settings;
+        let scale = this.rateScale(rate);
+
+        const density = this.measureDensity(queue, elapsed);
+        if (density) {
+            const expected = referenceDensity * (rate || 1);
+            scale *= Math.pow(density / expected, -densityExponent);
+        }
+
+        return Math.max(minScale, Math.min(maxScale, scale));
+    },
+
+    /**
+     * Adjust articulation settings
+     */
+    setSettings(settings) {
+        Object.assign(this.settings, settings);
+        console.log('Articulation settings updated:', this.settings);
+    }
+};
+
+// Make available globally
+window.Articulation = Articulation;
@@ -0,0 +1,189 @@
+/**
+ * Audio Scheduler
+ * Gapless Web Audio playback of synthesized segments on one clock
+ *
+ * Streamed replies are synthesized sentence by sentence. Each segment's
+ * audio is decoded and scheduled to start exactly where the previous one
+ * ends, so there is no gap at sentence boundaries. getElapsedMs() reads
+ * the AudioContext clock, which lip-sync uses as its playback time - the
+ * segments share one continuous timeline.
+ *
+ * If synthesis falls behind playback (the next sentence isn't ready when
+ * the current one ends), the next segment starts as soon as it arrives and
+ * the timeline simply contains a pause.
+ *
+ * pause() suspends the AudioContext, so playback and the clock stop together.
+ *
+ * Events:
+ *   start    First segment scheduled ({ startMs })
+ *   drained  Every scheduled segment has finished playing
+ */
+
+class AudioScheduler {
+    constructor() {
+        this.context = null;
+
+        // Active BufferSourceNodes in play order
+        this.sources = [];
+
+        // Context time (s) the timeline starts at, and where the last segment ends
+        this.startTime = null;
+        this.endTime = 0;
+
+        // Scheduled segments: { startMs, durationMs }
+        this.segments = [];
+
+        // Start the first segment this far ahead so it isn't clipped (s)
+        this.leadTime = 0.05;
+
+        // Bumped by stop() so segments still decoding are dropped
+        this.generation = 0;
+
+        // pause() suspends the context, which also stops its clock
+        this.paused = false;
+
+        // Event callbacks
+        this.callbacks = {};
+    }
+
+    /**
+     * Register event callback
+     */
+    on(event, callback) {
+        this.callbacks[event] = callback;
+    }
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event](data);
+        }
+    }
+
+    /**
+     * Shared AudioContext (the iOS helper's once unlocked)
+     */
+    getContext() {
+        if (!this.context) {
+            this.context = window.iOSAudioHelper
+                ? window.iOSAudioHelper.getAudioContext()
+                : new (window.AudioContext || window.webkitAudioContext)();
+        }
+        return this.context;
+    }
+
+    /**
+     * Decode a segment and schedule it after everything already queued
+     * @param {ArrayBuffer} audioData - Encoded audio (e.g. WAV from the Speech SDK)
+     * @returns {Promise<{startMs: number, durationMs: number}|null>} Position on the timeline (null if stopped meanwhile)
+     */
+    async enqueue(audioData) {
+        const context = this.getContext();
+        const generation = this.generation;
+        if (context.state === 'suspended' && !this.paused) {
+            await context.resume();
+        }
+
+        // decodeAudioData detaches its input - decode a copy (callback form for older Safari)
+        const buffer = await new Promise((resolve, reject) => {
+            context.decodeAudioData(audioData.slice(0), resolve, reject);
+        });
+        if (generation !== this.generation) return null;
+
+        const when = Math.max(this.endTime, context.currentTime + this.leadTime);
+        const first = this.startTime === null;
+        if (first) {
+            this.startTime = when;
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.onended = () => {
+            this.sources = this.sources.filter(s => s !== source);
+            if (this.sources.length === 0) {
+                this.emit('drained');
+            }
+        };
+        source.start(when);
+
+        this.sources.push(source);
+        this.endTime = when + buffer.duration;
+
+        const segment = {
+            startMs: (when - this.startTime) * 1000,
+            durationMs: buffer.duration * 1000
+        };
+        this.segments.push(segment);
+
+        if (first) {
+            this.emit('start', { startMs: segment.startMs });
+        }
+        return segment;
+    }
+
+    /**
+     * Playback position on the timeline (ms, negative before the first segment starts)
+     */
+    getElapsedMs() {
+        if (this.startTime === null || !this.context) return 0;
+        return (this.context.currentTime - this.startTime) * 1000;
+    }
+
+    /**
+     * Total scheduled length (ms)
+     */
+    getDurationMs() {
+        return this.startTime === null ? 0 : (this.endTime - this.startTime) * 1000;
+    }
+
+    /**
+     * Whether any segment is still playing or waiting to play
+     */
+    isPlaying() {
+        return this.sources.length > 0;
+    }
+
+    /**
+     * Hold playback - getElapsedMs() stands still until resume()
+     */
+    pause() {
+        this.paused = true;
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+        }
+    }
+
+    /**
+     * Continue after pause()
+     */
+    resume() {
+        this.paused = false;
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * Stop playback and start a new, empty timeline
+     */
+    stop() {
+        this.generation++;
+        const sources = this.sources;
+        this.sources = [];
+        sources.forEach(source => {
+            source.onended = null;
+            try { source.stop(); } catch (e) {}
+            source.disconnect();
+        });
+
+        this.startTime = null;
+        this.endTime = 0;
+        this.segments = [];
+    }
+}
+
+// Make available globally
+window.AudioScheduler = AudioScheduler;
@@ -0,0 +1,144 @@
+/**
+ * Audio Sync Offset
+ * Compensates for audio output latency so the mouth doesn't lead the voice
+ *
+ * Lip-sync clocks start when playback is requested, but the sound reaches
+ * the ear outputLatency + baseLatency later (100-300ms on Bluetooth headsets).
+ * Every lip-sync path subtracts getOffsetMs() from its playback clock.
+ *
+ * The offset is estimated from the AudioContext and can be overridden with a
+ * manual calibration, stored per output device in localStorage.
+ */
+
+const AudioSync = {
+    STORAGE_PREFIX: 'audio_sync_offset:',
+
+    // Latest automatic estimate (ms) and the output device it was made for
+    estimatedMs: 0,
+    deviceKey: 'default',
+
+    // Manual calibration for the current device (null = automatic)
+    manualOffsetMs: null,
+
+    // Event callbacks
+    callbacks: {},
+
+    /**
+     * Identify the output device and load its calibration
+     * Labels are only exposed after a media permission (the mic prompt), so
+     * devices fall back to 'default' until then.
+     */
+    async init() {
+        await this.refreshDevice();
+
+        if (navigator.mediaDevices?.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshDevice());
+        }
+    },
+
+    /**
+     * Re-read the active output device and its stored calibration
+     */
+    async refreshDevice() {
+        let key = 'default';
+
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const outputs = devices.filter(d => d.kind === 'audiooutput');
+            const active = outputs.find(d => d.deviceId === 'default') || outputs[0];
+            if (active) {
+                key = active.label || active.groupId || 'default';
+            }
+        } catch (e) {
+            // enumerateDevices unavailable (insecure context) - single calibration
+        }
+
+        this.deviceKey = key;
+
+        const stored = localStorage.getItem(this.STORAGE_PREFIX + key);
+        this.manualOffsetMs = stored !== null && !isNaN(parseFloat(stored)) ? parseFloat(stored) : null;
+
+        console.log(`[AudioSync] Output device "${key}" - ${this.manualOffsetMs !== null ? `manual ${this.manualOffsetMs}ms` : 'automatic'}`);
+        this.emit('change', this.getState());
+    },
+
+    /**
+     * Estimate output latency from the shared AudioContext
+     * Call when playback starts (after a user gesture) - outputLatency is only
+     * reported by a running context, so the first utterance may read 0.
+     * @returns {number} Estimated latency in ms
+     */
+    estimate() {
+        const context = window.iOSAudioHelper?.getAudioContext();
+        if (!context) return this.estimatedMs;
+
+        if (context.state === 'suspended') {
+            context.resume().catch(() => {});
+        }
+
+        const seconds = (context.outputLatency || 0) + (context.baseLatency || 0);
+        const estimatedMs = Math.round(seconds * 1000);
+
+        if (estimatedMs !== this.estimatedMs) {
+            this.estimatedMs = estimatedMs;
+            this.emit('change', this.getState());
+        }
+        return this.estimatedMs;
+    },
+
+    /**
+     * Offset to subtract from lip-sync playback clocks (ms)
+     */
+    getOffsetMs() {
+        return this.manualOffsetMs !== null ? this.manualOffsetMs : this.estimatedMs;
+    },
+
+    /**
+     * Store a manual calibration for the current output device
+     */
+    setManualOffset(ms) {
+        this.manualOffsetMs = ms;
+        localStorage.setItem(this.STORAGE_PREFIX + this.deviceKey, String(ms));
+        this.emit('change', this.getState());
+    },
+
+    /**
+     * Return the current output device to the automatic estimate
+     */
+    clearManualOffset() {
+        this.manualOffsetMs = null;
+        localStorage.removeItem(this.STORAGE_PREFIX + this.deviceKey);
+        this.emit('change', this.getState());
+    },
+
+    /**
+     * Current calibration (for the settings panel)
+     */
+    getState() {
+        return {
+            deviceKey: this.deviceKey,
+            estimatedMs: this.estimatedMs,
+            manualOffsetMs: this.manualOffsetMs,
+            offsetMs: this.getOffsetMs()
+        };
+    },
+
+    /**
+     * Register event callback
+     */
+    on(event, callback) {
+        this.callbacks[event] = callback;
+    },
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event](data);
+        }
+    }
+};
+
+// Make available globally
+window.AudioSync = AudioSync;
@@ -8,6 +8,27 @@
  * - Added playsinline attributes for audio elements
  * - AudioContext unlock integration
  * 
+ * Frame transitions use critically damped springs (smoothing.js), stepped
+ * every render frame, so the animation settles in the same time at any
+ * display refresh rate. configure({ responseMs }) sets their settle time.
+ * 
+ * Each new A2F frame is filtered per channel group (temporal-filter.js)
+ * before it becomes the spring target.
+ * 
+ * Per-frame state lives in typed arrays indexed like arkitShapes; a
+ * compiled Int32Array table places each channel at its Azure index for
+ * the mapper. Names are only looked up once per incoming A2F frame.
+ * 
+ * Frame times are shifted by the audio output latency (audio-sync.js).
+ * pause() / resume() hold the frame clock while the audio is paused.
+ * 
+ * Intensity is scaled by speech rate and viseme density (articulation.js)
+ * when the TTS timing is passed to processAndAnimate().
+ * 
+ * Morph target writes go through the avatar's BlendShapeMapper
+ * (setBlendShapeMapper), the same instance the renderer initialized, so
+ * non-ARKit rigs are retargeted the same way in both paths.
+ * 
  * Usage:
  *   const a2f = new Audio2FaceClient('ws://your-gpu-ip:8000');
  *   await a2f.connect();
@@ -33,16 +54,29 @@ class Audio2FaceClient {
         this.frameBuffer = [];
         this.animationStartTime = null;
         this.animationFrameId = null;
+        this.pausedAt = null;              // performance.now() while paused (frame clock stands still)
+        this.isPaused = false;             // Between pause() and resume(), animating or not
         
-        // Mesh references (set via setMeshes())
-        this.meshMappings = new Map();
+        // Speech timing of the current utterance: { rate, visemeQueue } (null = rate 1.0)
+        this.speechTiming = null;
+        
+        // Avatar's BlendShapeMapper (set via setBlendShapeMapper() or initializeWithScene())
+        this.blendShapeMapper = null;
         
         // Settings
         this.settings = {
             intensity: 1.0,        // Overall animation intensity
-            smoothing: 0.3,        // Blend factor for frame transitions
             useWebSocket: true,    // true=stream, false=batch
+            responseMs: null,      // Spring settle time (null = shared Smoothing.settings.responseMs)
         };
+
+        // Frame transitions use time-based springs, stepped every render frame
+        this.springs = new SpringBank();
+        this.frameClock = new FrameClock();
+        
+        // Per-channel temporal filters over the source frames (TemporalFilter.settings.groups)
+        this.filterBank = window.FilterBank ? new FilterBank() : null;
+        this.lastReadFrame = null;      // Source frame currently held in frameValues
         
         // Event callbacks
         this.callbacks = {};
@@ -66,9 +100,16 @@ class Audio2FaceClient {
             "tongueOut",
         ];
         
-        // Current blendshape values (for smoothing)
-        this.currentValues = {};
-        this.arkitShapes.forEach(name => this.currentValues[name] = 0);
+        // Current blendshape values (for smoothing), indexed like arkitShapes
+        this.currentValues = new Float64Array(this.arkitShapes.length);
+        
+        // Latest source frame (filtered), indexed like arkitShapes
+        this.frameValues = new Float64Array(this.arkitShapes.length);
+        this.restValues = new Float64Array(this.arkitShapes.length);   // Targets before the first frame
+        
+        // arkitShapes index -> Azure index, compiled when a mapper is attached
+        this.azureIndices = null;
+        this.meshValues = new Float64Array(55);
     }
     
     /**
@@ -83,12 +124,17 @@ class Audio2FaceClient {
         if (config.intensity !== undefined) {
             this.settings.intensity = config.intensity;
         }
-        if (config.smoothing !== undefined) {
-            this.settings.smoothing = config.smoothing;
-        }
         if (config.useWebSocket !== undefined) {
             this.settings.useWebSocket = config.useWebSocket;
         }
+        if (config.responseMs !== undefined) {
+            this.settings.responseMs = config.responseMs;
+        }
+        if (config.smoothing !== undefined) {
+            // Old per-frame blend factor: converted to the matching spring response time
+            console.warn('A2F Client: "smoothing" is deprecated, use "responseMs"');
+            this.settings.responseMs = Smoothing.responseFromLerp(config.smoothing);
+        }
     }
     
     /**
@@ -134,45 +180,53 @@ class Audio2FaceClient {
     }
     
     /**
-     * Initialize with Three.js scene - finds meshes with ARKit blendshapes
+     * Drive an avatar through its (already initialized) BlendShapeMapper
+     */
+    setBlendShapeMapper(mapper) {
+        this.blendShapeMapper = mapper;
+        this._compileChannels();
+        console.log(`A2F Client: Using avatar mapper with ${mapper ? mapper.meshMappings.size : 0} meshes`);
+    }
+    
+    /**
+     * Initialize with Three.js scene - standalone use without an AvatarRenderer
      */
     initializeWithScene(gltfScene) {
-        this.meshMappings.clear();
-        
-        gltfScene.traverse((node) => {
-            if (node.isMesh && node.morphTargetDictionary) {
-                // Enable morph targets on material
-                if (node.material) {
-                    const materials = Array.isArray(node.material) ? node.material : [node.material];
-                    materials.forEach(mat => {
-                        mat.morphTargets = true;
-                        mat.morphNormals = true;
-                        mat.needsUpdate = true;
-                    });
-                }
-                
-                // Build index map for this mesh
-                const shapeIndices = {};
-                const dictionary = node.morphTargetDictionary;
-                
-                this.arkitShapes.forEach(shapeName => {
-                    if (dictionary.hasOwnProperty(shapeName)) {
-                        shapeIndices[shapeName] = dictionary[shapeName];
-                    }
-                });
-                
-                if (Object.keys(shapeIndices).length > 0) {
-                    this.meshMappings.set(node, {
-                        indices: shapeIndices,
-                        influences: node.morphTargetInfluences
-                    });
-                    console.log(`A2F Client: Found ${Object.keys(shapeIndices).length} ARKit shapes in ${node.name}`);
-                }
+        if (!this.blendShapeMapper) {
+            this.blendShapeMapper = new BlendShapeMapper();
+            this._compileChannels();
+        }
+        return this.blendShapeMapper.initialize(gltfScene);
+    }
+    
+    /**
+     * Internal: Build the arkitShapes -> Azure index table for the mapper
+     */
+    _compileChannels() {
+        if (!this.blendShapeMapper) {
+            this.azureIndices = null;
+            return;
+        }
+        
+        const names = this.blendShapeMapper.AZURE_BLENDSHAPES;
+        this.azureIndices = Int32Array.from(this.arkitShapes, name => names.indexOf(name));
+        this.meshValues = new Float64Array(names.length);
+    }
+    
+    /**
+     * Write currentValues to the avatar's meshes
+     */
+    _writeToMeshes() {
+        if (!this.blendShapeMapper || !this.azureIndices) return;
+        
+        const { azureIndices, currentValues, meshValues } = this;
+        for (let i = 0; i < azureIndices.length; i++) {
+            if (azureIndices[i] >= 0) {
+                meshValues[azureIndices[i]] = currentValues[i];
             }
-        });
+        }
         
-        console.log(`A2F Client: Initialized with ${this.meshMappings.size} meshes`);
-        return this.meshMappings.size > 0;
+        this.blendShapeMapper.applyFrame(meshValues);
     }
     
     /**
@@ -180,13 +234,16 @@ class Audio2FaceClient {
      * 
      * @param {Blob|ArrayBuffer} audioData - Audio to process
      * @param {HTMLAudioElement} audioElement - Audio element for playback sync
+     * @param {Object} [speechTiming] - { rate, visemeQueue } from TTS, scales articulation
      * @returns {Promise<void>}
      */
-    async processAndAnimate(audioData, audioElement) {
+    async processAndAnimate(audioData, audioElement, speechTiming = null) {
         if (!this.serverUrl) {
             throw new Error('A2F server not configured');
         }
         
+        this.speechTiming = speechTiming;
+        
         this.emit('processing', { status: 'started' });
         
         try {
@@ -243,12 +300,9 @@ class Audio2FaceClient {
                 audioElement.setAttribute('webkit-playsinline', '');
                 
                 // Start audio playback
-                audioElement.play().then(() => {
+                this._startPlayback(audioElement).then(() => {
                     // Signal server to start streaming
                     ws.send(JSON.stringify({ action: 'start' }));
-                    this.animationStartTime = performance.now();
-                    this.isAnimating = true;
-                    this._startFrameLoop();
                 }).catch(err => {
                     reject(new Error('Audio playback failed: ' + err.message));
                 });
@@ -312,10 +366,7 @@ class Audio2FaceClient {
         audioElement.setAttribute('webkit-playsinline', '');
         
         // Start playback and animation together
-        await audioElement.play();
-        this.animationStartTime = performance.now();
-        this.isAnimating = true;
-        this._startFrameLoop();
+        await this._startPlayback(audioElement);
         
         // Wait for audio to end
         return new Promise(resolve => {
@@ -326,14 +377,39 @@ class Audio2FaceClient {
         });
     }
     
+    /**
+     * Start the audio and the frame clock together
+     * Paused before the audio started: the element stays paused for its owner
+     * to play on resume, and the clock waits at 0 until resume()
+     */
+    async _startPlayback(audioElement) {
+        if (!this.isPaused) {
+            await audioElement.play();
+        }
+        this.animationStartTime = performance.now();
+        this.pausedAt = this.isPaused ? this.animationStartTime : null;
+        this.isAnimating = true;
+        this._startFrameLoop();
+    }
+
     /**
      * Start the frame application loop
      */
     _startFrameLoop() {
+        window.AudioSync?.estimate();
+        
+        // New utterance: filter history and frame delta start over
+        this.filterBank?.reset();
+        this.lastReadFrame = null;
+        this.frameClock.reset();
+        
         const loop = () => {
             if (!this.isAnimating) return;
             
-            const elapsed = (performance.now() - this.animationStartTime) / 1000; // seconds
+            // Audio reaches the ear output-latency later than playback starts
+            const syncOffset = window.AudioSync ? window.AudioSync.getOffsetMs() : 0;
+            const now = this.pausedAt ?? performance.now();
+            const elapsed = (now - this.animationStartTime - syncOffset) / 1000; // seconds
             
             // Find the frame for current time
             let targetFrame = null;
@@ -344,9 +420,8 @@ class Audio2FaceClient {
                 }
             }
             
-            if (targetFrame) {
-                this._applyFrame(targetFrame);
-            }
+            // Springs advance every render frame, between source frames too
+            this._applyFrame(targetFrame);
             
             this.animationFrameId = requestAnimationFrame(loop);
         };
@@ -355,45 +430,68 @@ class Audio2FaceClient {
     }
     
     /**
-     * Apply a single frame of blendshapes to all meshes
+     * Spring toward a source frame and apply the result to all meshes
+     * @param {Object|null} frame - Current source frame (null before the first one: hold at rest)
      */
     _applyFrame(frame) {
-        const blendshapes = frame.blendshapes;
-        const smoothing = this.settings.smoothing;
-        const intensity = this.settings.intensity;
-        
-        // Smooth transition to new values
-        this.arkitShapes.forEach(name => {
-            const target = (blendshapes[name] || 0) * intensity;
-            this.currentValues[name] += (target - this.currentValues[name]) * smoothing;
-        });
+        const targets = frame ? this._readFrame(frame) : this.restValues;
+        const intensity = this.settings.intensity * (frame ? this._getArticulationScale(frame.timestamp * 1000) : 1);
+        const responseMs = this.settings.responseMs ?? Smoothing.settings.responseMs;
+        const dt = this.frameClock.tick();
+        const current = this.currentValues;
+        
+        // Spring toward new values by real elapsed time
+        let activeShapes = 0;
+        for (let i = 0; i < current.length; i++) {
+            current[i] = this.springs.step(i, current[i], targets[i] * intensity, dt, responseMs);
+            if (current[i] > 0.05) activeShapes++;
+        }
         
-        // Apply to all meshes
-        this.meshMappings.forEach((meshData) => {
-            const { indices, influences } = meshData;
-            
-            this.arkitShapes.forEach(name => {
-                if (indices[name] !== undefined) {
-                    influences[indices[name]] = this.currentValues[name];
-                }
-            });
-        });
+        // Apply to all meshes (the mapper applies the avatar's calibration profile)
+        this._writeToMeshes();
+        if (!frame) return;
         
         // Emit for debug
         this.emit('frame', {
             frameIndex: frame.frame,
             timestamp: frame.timestamp,
-            activeShapes: Object.entries(this.currentValues)
-                .filter(([_, v]) => v > 0.05)
-                .length
+            activeShapes
         });
     }
     
+    /**
+     * Read (and filter) a source frame once, when it first becomes current
+     * @returns {Float64Array} Blendshape values indexed like arkitShapes
+     */
+    _readFrame(frame) {
+        if (frame !== this.lastReadFrame) {
+            const { blendshapes } = frame;
+            this.arkitShapes.forEach((name, i) => this.frameValues[i] = blendshapes[name] || 0);
+            
+            if (this.filterBank) {
+                this.frameValues.set(this.filterBank.process(this.frameValues, this.arkitShapes, frame.timestamp));
+            }
+            this.lastReadFrame = frame;
+        }
+        return this.frameValues;
+    }
+    
+    /**
+     * Amplitude factor from the utterance's speech rate and viseme density
+     */
+    _getArticulationScale(elapsedMs) {
+        if (!window.Articulation) return 1.0;
+        
+        const { rate = 1.0, visemeQueue = null } = this.speechTiming || {};
+        return window.Articulation.getScale(rate, visemeQueue, elapsedMs);
+    }
+    
     /**
      * Stop animation and reset to neutral
      */
     _stopAnimation() {
         this.isAnimating = false;
+        this.pausedAt = null;
         
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
@@ -410,7 +508,7 @@ class Audio2FaceClient {
     _smoothResetToNeutral() {
         const duration = 300; // ms
         const startTime = performance.now();
-        const startValues = { ...this.currentValues };
+        const startValues = Float64Array.from(this.currentValues);
         
         const animate = () => {
             const elapsed = performance.now() - startTime;
@@ -418,23 +516,17 @@ class Audio2FaceClient {
             const easeOut = 1 - Math.pow(1 - t, 3); // Cubic ease-out
             
             // Interpolate toward zero
-            this.arkitShapes.forEach(name => {
-                this.currentValues[name] = startValues[name] * (1 - easeOut);
-            });
+            for (let i = 0; i < startValues.length; i++) {
+                this.currentValues[i] = startValues[i] * (1 - easeOut);
+            }
             
             // Apply to meshes
-            this.meshMappings.forEach((meshData) => {
-                const { indices, influences } = meshData;
-                this.arkitShapes.forEach(name => {
-                    if (indices[name] !== undefined) {
-                        influences[indices[name]] = this.currentValues[name];
-                    }
-                });
-            });
+            this._writeToMeshes();
             
             if (t < 1) {
                 requestAnimationFrame(animate);
             } else {
+                this.springs.reset();
                 this.emit('speaking', false);
             }
         };
@@ -442,22 +534,35 @@ class Audio2FaceClient {
         requestAnimationFrame(animate);
     }
     
+    /**
+     * Freeze the frame clock (call when the utterance's audio is paused, also before it starts)
+     */
+    pause() {
+        this.isPaused = true;
+        if (!this.isAnimating || this.pausedAt !== null) return;
+        this.pausedAt = performance.now();
+    }
+    
+    /**
+     * Continue the frame clock where pause() left it
+     */
+    resume() {
+        this.isPaused = false;
+        if (this.pausedAt === null) return;
+        this.animationStartTime += performance.now() - this.pausedAt;
+        this.pausedAt = null;
+    }
+    
     /**
      * Immediately reset all blendshapes to zero
      */
     reset() {
-        this.arkitShapes.forEach(name => {
-            this.currentValues[name] = 0;
-        });
+        this.currentValues.fill(0);
+        this.springs.reset();
+        this.filterBank?.reset();
+        this.lastReadFrame = null;
         
-        this.meshMappings.forEach((meshData) => {
-            const { indices, influences } = meshData;
-            this.arkitShapes.forEach(name => {
-                if (indices[name] !== undefined) {
-                    influences[indices[name]] = 0;
-                }
-            });
-        });
+        this._writeToMeshes();
     }
     
     /**
@@ -475,7 +580,8 @@ class Audio2FaceClient {
             connected: this.isConnected,
             animating: this.isAnimating,
             bufferedFrames: this.frameBuffer.length,
-            meshCount: this.meshMappings.size,
+            meshCount: this.blendShapeMapper ? this.blendShapeMapper.meshMappings.size : 0,
+            unresolvedChannels: this.blendShapeMapper ? this.blendShapeMapper.unresolvedChannels : [],
             intensity: this.settings.intensity
         };
     }
@@ -46,6 +46,24 @@ class AvatarRenderer {
         // Expression system
         this.expressionSystem = null;
 
+        // Per-avatar lip-sync mappers (shared with the speech / A2F clients)
+        this.visemeMapper = window.VisemeMapper ? new window.VisemeMapper() : null;
+        this.blendShapeMapper = window.BlendShapeMapper ? new window.BlendShapeMapper() : null;
+
+        // Morph compositor: lip-sync, expressions and blinks write layers, blended once per frame
+        this.compositor = window.MorphCompositor ? new window.MorphCompositor() : null;
+        this.visemeMapper?.setCompositor(this.compositor);
+        this.blendShapeMapper?.setCompositor(this.compositor);
+
+        // Jaw bone driver for rigs that open the mouth with a bone (both mappers share it)
+        this.jawBone = window.JawBoneDriver ? new window.JawBoneDriver() : null;
+        this.visemeMapper?.setJawBone(this.jawBone);
+        this.blendShapeMapper?.setJawBone(this.jawBone);
+
+        // Head/eye bone driver for Azure's bone channels (52-54) and eyeLook* on morph-less eyes
+        this.headEyeBones = window.HeadEyeBoneDriver ? new window.HeadEyeBoneDriver() : null;
+        this.blendShapeMapper?.setHeadEyeBones(this.headEyeBones);
+
         // =====================================================
         // MATERIAL SETTINGS (all adjustable at runtime)
         // =====================================================
@@ -415,6 +433,9 @@ class AvatarRenderer {
                     // Clear bone references and rest pose
                     this.bones = {};
                     this.restPose = null;
+                    this.jawBone?.detach();
+                    this.headEyeBones?.detach();
+                    this.compositor?.detach();
 
                     this.model = gltf.scene;
 
@@ -462,19 +483,37 @@ class AvatarRenderer {
                         console.log('No embedded animation - will apply static pose');
                     }
 
+                    // Register morph meshes before the mappers ask for layer buffers
+                    if (this.compositor) {
+                        this.compositor.attach(this.model);
+                    }
+
                     // Initialize viseme mapper
-                    if (window.VisemeMapper) {
-                        const success = window.VisemeMapper.initialize(this.model);
+                    if (this.visemeMapper) {
+                        const success = this.visemeMapper.initialize(this.model);
                         if (!success) {
                             console.warn('No visemes found in model');
                         }
                     }
 
-                    if (window.BlendShapeMapper) {
-                        window.BlendShapeMapper.initialize(this.model);
+                    if (this.blendShapeMapper) {
+                        this.blendShapeMapper.initialize(this.model);
                     }
 
                     this.setupBones();
+
+                    // Drive the jaw bone when the model has no jawOpen morph
+                    if (this.jawBone) {
+                        this.jawBone.attach(this.bones, this.restPose, this.hasMorphTarget('jawOpen'));
+                    }
+
+                    // Head/eye bones layer over idle movement; eyes follow eyeLook* without eye-look morphs
+                    if (this.headEyeBones) {
+                        const eyeLookMorphs = this.blendShapeMapper
+                            ? !this.blendShapeMapper.unresolvedChannels.includes('eyeLookInLeft')
+                            : this.hasMorphTarget('eyeLookInLeft');
+                        this.headEyeBones.attach(this.bones, eyeLookMorphs);
+                    }
                     
                     // For models without animation, apply relaxed pose
                     if (!hasAnimation) {
@@ -490,7 +529,7 @@ class AvatarRenderer {
                     });
 
                     // Initialize expression system
-                    this.expressionSystem = new ExpressionSystem(this.headMesh);
+                    this.expressionSystem = new ExpressionSystem(this.headMesh, this.compositor);
                     this.expressionSystem.start();
 
                     this.focusOnFace();
@@ -888,6 +927,159 @@ class AvatarRenderer {
         console.log('Camera positioned for full body view');
     }
 
+    /**
+     * Move the camera to a framing (speech cues <camera_closeup/> etc.)
+     * @param {'default'|'closeup'|'wide'} shot - default matches focusOnFace()
+     * @param {number} [duration=800] - Tween length in ms
+     */
+    setCameraShot(shot = 'default', duration = 800) {
+        if (!this.model) return;
+
+        // Fraction of model height to aim at, camera distance
+        const shots = {
+            default: { y: 0.65, z: 2.2 },
+            closeup: { y: 0.92, z: 0.8 },
+            wide: { y: 0.55, z: 3.2 }
+        };
+        const framing = shots[shot];
+        if (!framing) {
+            console.warn(`Unknown camera shot: ${shot}`);
+            return;
+        }
+
+        const box = new THREE.Box3().setFromObject(this.model);
+        const targetY = (box.max.y - box.min.y) * framing.y;
+
+        const fromPosition = this.camera.position.clone();
+        const fromTarget = this.controls.target.clone();
+        const toPosition = new THREE.Vector3(0, targetY, framing.z);
+        const toTarget = new THREE.Vector3(0, targetY, 0);
+        const startTime = performance.now();
+        const shotId = this.cameraShotId = (this.cameraShotId || 0) + 1;
+
+        const step = () => {
+            if (shotId !== this.cameraShotId) return;   // A newer shot took over
+
+            const t = Math.min((performance.now() - startTime) / duration, 1);
+            const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+            this.camera.position.lerpVectors(fromPosition, toPosition, eased);
+            this.controls.target.lerpVectors(fromTarget, toTarget, eased);
+            this.controls.update();
+
+            if (t < 1) requestAnimationFrame(step);
+        };
+        requestAnimationFrame(step);
+
+        console.log(`Camera shot: ${shot}`);
+    }
+
+    /**
+     * Glance in a direction with eyes and head, then back at the camera
+     * @param {'camera'|'left'|'right'|'up'|'down'} direction - left/right are the avatar's own
+     * @param {number} [hold=2000] - ms before looking back (0 = stay)
+     * @returns {boolean} Whether the direction is known
+     */
+    lookAt(direction = 'camera', hold = 2000) {
+        // Eye-look morphs and head offset (radians; +y turns to the avatar's left, -x tilts up)
+        const looks = {
+            camera: { eyes: {}, head: {} },
+            left: { eyes: { eyeLookOutLeft: 0.6, eyeLookInRight: 0.6 }, head: { y: 0.25 } },
+            right: { eyes: { eyeLookInLeft: 0.6, eyeLookOutRight: 0.6 }, head: { y: -0.25 } },
+            up: { eyes: { eyeLookUpLeft: 0.5, eyeLookUpRight: 0.5 }, head: { x: -0.12 } },
+            down: { eyes: { eyeLookDownLeft: 0.5, eyeLookDownRight: 0.5 }, head: { x: 0.15 } }
+        };
+        const look = looks[direction];
+        if (!look) {
+            console.warn(`Unknown look direction: ${direction}`);
+            return false;
+        }
+
+        if (this.expressionSystem) {
+            const channels = new Set([...(this.lookChannels || []), ...Object.keys(look.eyes)]);
+            channels.forEach(name => this.expressionSystem.animateExpression([name], look.eyes[name] || 0, 250));
+            this.lookChannels = Object.keys(look.eyes);
+        }
+        this.turnHead(look.head, 400);
+
+        clearTimeout(this.lookTimer);
+        if (direction !== 'camera' && hold > 0) {
+            this.lookTimer = setTimeout(() => this.lookAt('camera'), hold);
+        }
+        return true;
+    }
+
+    /**
+     * Ease the head's gesture offset to a rotation (cancels a running nod or shake)
+     * @param {{x?: number, y?: number, z?: number}} target - Radians, {} = straight
+     * @param {number} [duration=400] - ms
+     */
+    turnHead(target, duration = 400) {
+        if (!this.headEyeBones) return;
+
+        const from = { x: 0, y: 0, z: 0, ...this.headEyeBones.gestureOffsets.head };
+        const to = { x: target.x || 0, y: target.y || 0, z: target.z || 0 };
+        const startTime = performance.now();
+        const gestureId = this.headGestureId = (this.headGestureId || 0) + 1;
+
+        const step = () => {
+            if (gestureId !== this.headGestureId) return;
+
+            const t = Math.min((performance.now() - startTime) / duration, 1);
+            const eased = 1 - Math.pow(1 - t, 2);
+            this.headEyeBones.setGestureOffset('head', {
+                x: from.x + (to.x - from.x) * eased,
+                y: from.y + (to.y - from.y) * eased,
+                z: from.z + (to.z - from.z) * eased
+            });
+
+            if (t < 1) requestAnimationFrame(step);
+        };
+        requestAnimationFrame(step);
+    }
+
+    /**
+     * Nod or shake the head over idle motion and speech (speech cues <nod/>, <shake/>)
+     * @param {'nod'|'shake'} type
+     * @param {number} [duration=700] - ms
+     */
+    playHeadGesture(type = 'nod', duration = 700) {
+        if (!this.headEyeBones) return;
+
+        // Two swings that die away; nod pitches (x), shake turns (y)
+        const axis = type === 'shake' ? 'y' : 'x';
+        const amplitude = type === 'shake' ? 0.12 : 0.09;
+        const startTime = performance.now();
+        const gestureId = this.headGestureId = (this.headGestureId || 0) + 1;
+
+        const step = () => {
+            if (gestureId !== this.headGestureId) return;
+
+            const t = Math.min((performance.now() - startTime) / duration, 1);
+            const angle = Math.sin(t * Math.PI * 4) * amplitude * (1 - t);
+            this.headEyeBones.setGestureOffset('head', { [axis]: angle });
+
+            if (t < 1) {
+                requestAnimationFrame(step);
+            } else {
+                this.headEyeBones.setGestureOffset('head', {});
+            }
+        };
+        requestAnimationFrame(step);
+    }
+
+    /**
+     * Check whether any mesh in the model has a morph target
+     */
+    hasMorphTarget(name) {
+        let found = false;
+        this.model.traverse((node) => {
+            if (node.isMesh && node.morphTargetDictionary?.[name] !== undefined) {
+                found = true;
+            }
+        });
+        return found;
+    }
+
     setupBones() {
         this.model.traverse((node) => {
             if (node.isBone) {
@@ -1123,9 +1315,21 @@ class AvatarRenderer {
         const delta = this.clock.getDelta();
 
         if (this.mixer) {
+            // Embedded morph tracks land in the compositor's base layer
+            this.compositor?.beginMixerFrame();
             this.mixer.update(delta);
         }
 
+        // Additive head/eye rotations from the lip-sync stream
+        if (this.headEyeBones) {
+            this.headEyeBones.update();
+        }
+
+        // Blend morph layers into the meshes
+        if (this.compositor) {
+            this.compositor.update();
+        }
+
         this.controls.update();
         this.renderer.render(this.scene, this.camera);
 
@@ -1159,14 +1363,21 @@ class AvatarRenderer {
 
 /**
  * Expression System - Handles random/reactive facial expressions
+ * With a MorphCompositor, blinks go to its blink layer and everything else
+ * to its emotion layer, so lip-sync no longer overwrites them. The held
+ * speaking-style face (setAffect) has a layer of its own underneath; a
+ * held emotion (setHeldAffect) is what that layer returns to afterwards.
  */
 class ExpressionSystem {
-    constructor(headMesh) {
+    constructor(headMesh, compositor = null) {
         this.headMesh = headMesh;
+        this.compositor = compositor;
         this.isRunning = false;
         this.blinkInterval = null;
         this.microExpressionInterval = null;
         this.currentExpressions = {};
+        this.affect = {};       // Baseline set by setAffect(): channel -> value
+        this.heldAffect = {};   // Baseline to return to when a passing one ends (setHeldAffect)
 
         this.expressions = {
             eyeBlinkLeft: 'eyeBlinkLeft',
@@ -1214,8 +1425,8 @@ class ExpressionSystem {
             if (!this.isRunning) return;
 
             this.animateExpression(['eyeBlinkLeft', 'eyeBlinkRight'], 1.0, 150, () => {
-                this.animateExpression(['eyeBlinkLeft', 'eyeBlinkRight'], 0, 100);
-            });
+                this.animateExpression(['eyeBlinkLeft', 'eyeBlinkRight'], 0, 100, null, 'blink');
+            }, 'blink');
 
             const nextBlink = 2000 + Math.random() * 4000;
             this.blinkInterval = setTimeout(blink, nextBlink);
@@ -1262,17 +1473,15 @@ class ExpressionSystem {
         this.microExpressionInterval = setTimeout(doMicroExpression, 2000 + Math.random() * 2000);
     }
 
-    animateExpression(names, targetValue, duration, onComplete) {
+    animateExpression(names, targetValue, duration, onComplete, layer = 'emotion') {
         if (!this.headMesh) return;
 
         const dict = this.headMesh.morphTargetDictionary;
-        const influences = this.headMesh.morphTargetInfluences;
 
         names.forEach(name => {
             if (dict[name] === undefined) return;
 
-            const idx = dict[name];
-            const startValue = influences[idx];
+            const startValue = this._read(layer, name);
             const startTime = performance.now();
 
             const animate = () => {
@@ -1280,7 +1489,7 @@ class ExpressionSystem {
                 const t = Math.min(elapsed / duration, 1);
                 const eased = 1 - Math.pow(1 - t, 2);
 
-                influences[idx] = startValue + (targetValue - startValue) * eased;
+                this._write(layer, name, startValue + (targetValue - startValue) * eased);
 
                 if (t < 1) {
                     requestAnimationFrame(animate);
@@ -1293,12 +1502,33 @@ class ExpressionSystem {
         });
     }
 
-    setExpression(name, value) {
+    setExpression(name, value, layer = 'emotion') {
         if (!this.headMesh) return;
         const dict = this.headMesh.morphTargetDictionary;
         if (dict[name] !== undefined) {
-            this.headMesh.morphTargetInfluences[dict[name]] = value;
+            this._write(layer, name, value);
+        }
+    }
+
+    /**
+     * Internal: Read a morph target from the compositor layer (or the head mesh)
+     */
+    _read(layer, name) {
+        if (this.compositor) {
+            return this.compositor.getChannel(layer, name);
+        }
+        return this.headMesh.morphTargetInfluences[this.headMesh.morphTargetDictionary[name]];
+    }
+
+    /**
+     * Internal: Write a morph target to the compositor layer (or the head mesh)
+     */
+    _write(layer, name, value) {
+        if (this.compositor) {
+            this.compositor.setChannel(layer, name, value);
+            return;
         }
+        this.headMesh.morphTargetInfluences[this.headMesh.morphTargetDictionary[name]] = value;
     }
 
     showInterest() {
@@ -1314,6 +1544,64 @@ class ExpressionSystem {
             this.animateExpression(['mouthSmileLeft', 'mouthSmileRight', 'cheekSquintLeft', 'cheekSquintRight'], 0, 600);
         }, 800);
     }
+
+    smile() {
+        this.animateExpression(['mouthSmileLeft', 'mouthSmileRight', 'cheekSquintLeft', 'cheekSquintRight'], 0.5, 250);
+        setTimeout(() => {
+            this.animateExpression(['mouthSmileLeft', 'mouthSmileRight', 'cheekSquintLeft', 'cheekSquintRight'], 0, 700);
+        }, 1500);
+    }
+
+    frown() {
+        this.animateExpression(['browDownLeft', 'browDownRight', 'browInnerUp', 'mouthFrownLeft', 'mouthFrownRight'], 0.35, 300);
+        setTimeout(() => {
+            this.animateExpression(['browDownLeft', 'browDownRight', 'browInnerUp', 'mouthFrownLeft', 'mouthFrownRight'], 0, 700);
+        }, 1500);
+    }
+
+    showSurprise() {
+        this.animateExpression(['browInnerUp', 'browOuterUpLeft', 'browOuterUpRight', 'eyeWideLeft', 'eyeWideRight'], 0.6, 150);
+        setTimeout(() => {
+            this.animateExpression(['browInnerUp', 'browOuterUpLeft', 'browOuterUpRight', 'eyeWideLeft', 'eyeWideRight'], 0, 600);
+        }, 900);
+    }
+
+    /**
+     * Hold a baseline face (e.g. while a speaking style plays), easing from the previous one
+     * Micro-expressions and blinks keep playing on top.
+     * @param {Object<string, number>} channels - Blendshape values; {} returns to neutral
+     * @param {number} [duration=400] - ms
+     */
+    setAffect(channels, duration = 400) {
+        const names = new Set([...Object.keys(this.affect), ...Object.keys(channels)]);
+        names.forEach(name => this.animateExpression([name], channels[name] || 0, duration, null, 'affect'));
+        this.affect = { ...channels };
+    }
+
+    /**
+     * Hold a baseline face until changed, and make it the one restoreAffect() returns to
+     * @param {Object<string, number>} channels - Blendshape values; {} holds neutral
+     * @param {number} [duration=400] - ms
+     */
+    setHeldAffect(channels, duration = 400) {
+        this.heldAffect = { ...channels };
+        this.setAffect(channels, duration);
+    }
+
+    /**
+     * Ease back to the held baseline (e.g. when a speaking style's face ends)
+     * @param {number} [duration=400] - ms
+     */
+    restoreAffect(duration = 400) {
+        this.setAffect(this.heldAffect, duration);
+    }
+
+    wink() {
+        // Blink layer, so it isn't added to a regular blink
+        this.animateExpression(['eyeBlinkLeft'], 1.0, 120, () => {
+            setTimeout(() => this.animateExpression(['eyeBlinkLeft'], 0, 200, null, 'blink'), 250);
+        }, 'blink');
+    }
 }
 
 // Make available globally
@@ -0,0 +1,212 @@
+/**
+ * Avatar Tools
+ * Functions the LLM can call to act through the avatar (OpenAI tool calling)
+ *
+ * AzureServicesViseme sends getSchema() with every chat request. When the
+ * model answers with tool calls, it runs them with execute() against the
+ * context set by the app (setToolContext: { app, renderer, azure }), sends
+ * the results back and asks again, until the model replies in words.
+ *
+ * Built in: set_emotion, look_at, gesture, change_camera, switch_voice.
+ * Apps add their own with register():
+ *
+ *   AvatarTools.register('show_product', {
+ *       description: 'Show a product picture next to the avatar',
+ *       parameters: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+ *       handler: ({ id }, { app }) => app.showProduct(id)
+ *   });
+ *
+ * A handler gets the parsed arguments and the context, may be async, and
+ * returns what the model is told (object -> JSON; nothing -> { ok: true }).
+ * Thrown errors are reported to the model instead of failing the reply.
+ */
+
+const AvatarTools = {
+    // Tool name -> { description, parameters (JSON schema, or a function returning one), handler(args, context) }
+    tools: {
+        set_emotion: {
+            description: 'Hold a facial expression until changed (neutral clears it). ' +
+                'A reply spoken in a speaking style shows that style\'s face while it plays, then returns to this one.',
+            parameters: () => ({
+                type: 'object',
+                properties: {
+                    emotion: {
+                        type: 'string',
+                        enum: ['neutral', ...Object.keys(window.SpeakingStyles ? SpeakingStyles.styles : {})]
+                    },
+                    intensity: { type: 'number', minimum: 0, maximum: 2, description: '1 = normal' }
+                },
+                required: ['emotion']
+            }),
+            handler: ({ emotion, intensity = 1 }, { renderer }) => {
+                const expressions = AvatarTools.requireExpressions(renderer);
+                const style = emotion === 'neutral' ? null : emotion;
+                if (style && !window.SpeakingStyles?.isStyle(style)) {
+                    throw new Error(`Unknown emotion: ${emotion}`);
+                }
+                expressions.setHeldAffect(window.SpeakingStyles ? SpeakingStyles.getFace(style, intensity) : {});
+                return { emotion, intensity };
+            }
+        },
+        look_at: {
+            description: 'Look in a direction (the avatar\'s own left/right) for a moment, or back at the user (camera)',
+            parameters: {
+                type: 'object',
+                properties: {
+                    direction: { type: 'string', enum: ['camera', 'left', 'right', 'up', 'down'] }
+                },
+                required: ['direction']
+            },
+            handler: ({ direction }, { renderer }) => {
+                AvatarTools.requireRenderer(renderer);
+                if (!renderer.lookAt(direction)) {
+                    throw new Error(`Unknown direction: ${direction}`);
+                }
+                return { direction };
+            }
+        },
+        gesture: {
+            description: 'Make a short facial expression or head gesture',
+            parameters: () => ({
+                type: 'object',
+                properties: {
+                    gesture: {
+                        type: 'string',
+                        enum: Object.keys(window.SpeechCues ? SpeechCues.cues : {}).filter(name => !name.startsWith('camera_'))
+                    }
+                },
+                required: ['gesture']
+            }),
+            handler: ({ gesture }, { renderer }) => {
+                const expressions = AvatarTools.requireExpressions(renderer);
+                if (!window.SpeechCues?.dispatch(gesture, { expressions, renderer })) {
+                    throw new Error(`Unknown gesture: ${gesture}`);
+                }
+                return { gesture };
+            }
+        },
+        change_camera: {
+            description: 'Change the camera framing',
+            parameters: {
+                type: 'object',
+                properties: {
+                    shot: { type: 'string', enum: ['default', 'closeup', 'wide'] }
+                },
+                required: ['shot']
+            },
+            handler: ({ shot }, { renderer }) => {
+                AvatarTools.requireRenderer(renderer).setCameraShot(shot);
+                return { shot };
+            }
+        },
+        switch_voice: {
+            description: 'Change the avatar\'s voice, e.g. when the user asks for a different one. ' +
+                'Replies in another language use that language\'s voice.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    voice: { type: 'string', description: 'Azure neural voice name, e.g. en-US-AvaMultilingualNeural or en-US-GuyNeural' }
+                },
+                required: ['voice']
+            },
+            handler: ({ voice }, { app, azure }) => {
+                if (!/^[a-z]{2,3}-[A-Z]{2}-\w+Neural$/.test(voice || '')) {
+                    throw new Error(`Not an Azure neural voice name: ${voice}`);
+                }
+                if (app) {
+                    app.setVoice(voice);
+                } else {
+                    azure.updateVoiceSettings(voice, azure.config.voice.rate);
+                }
+                return { voice };
+            }
+        }
+    },
+
+    /**
+     * Add or replace a tool
+     * @param {string} name - Function name the model calls (letters, digits, _ and -)
+     * @param {{description: string, parameters: Object|function(): Object, handler: function(Object, Object): *}} tool
+     */
+    register(name, { description, parameters = { type: 'object', properties: {} }, handler }) {
+        this.tools[name] = { description, parameters, handler };
+    },
+
+    /**
+     * Remove a tool
+     */
+    unregister(name) {
+        delete this.tools[name];
+    },
+
+    /**
+     * The `tools` array of a chat completions request
+     */
+    getSchema() {
+        return Object.entries(this.tools).map(([name, tool]) => ({
+            type: 'function',
+            function: {
+                name,
+                description: tool.description,
+                parameters: typeof tool.parameters === 'function' ? tool.parameters() : tool.parameters
+            }
+        }));
+    },
+
+    /**
+     * Run a tool call
+     * @param {string} name
+     * @param {string} argsJson - Arguments as sent by the model (JSON text)
+     * @param {{app?: App, renderer?: AvatarRenderer, azure?: AzureServicesViseme}} context
+     * @returns {Promise<string>} Result for the model (JSON text)
+     */
+    async execute(name, argsJson, context) {
+        const tool = this.tools[name];
+        if (!tool) {
+            return JSON.stringify({ error: `Unknown tool: ${name}` });
+        }
+
+        let args;
+        try {
+            args = argsJson ? JSON.parse(argsJson) : {};
+        } catch (error) {
+            return JSON.stringify({ error: 'Arguments are not valid JSON' });
+        }
+
+        try {
+            const result = await tool.handler(args, context);
+            return typeof result === 'string' ? result : JSON.stringify(result ?? { ok: true });
+        } catch (error) {
+            console.error(`AvatarTools: ${name} failed:`, error);
+            return JSON.stringify({ error: error.message });
+        }
+    },
+
+    /**
+     * System prompt addition: act with tools, but still answer in words
+     */
+    getPromptHint() {
+        return 'You control an animated avatar. Use the tools to show emotions, gestures, glances, ' +
+            'camera moves or a voice change when it suits the conversation - but always also answer in words.';
+    },
+
+    /**
+     * Internal (handlers): The renderer, or an error for the model
+     */
+    requireRenderer(renderer) {
+        if (!renderer) throw new Error('No avatar loaded');
+        return renderer;
+    },
+
+    /**
+     * Internal (handlers): The avatar's ExpressionSystem, or an error for the model
+     */
+    requireExpressions(renderer) {
+        const expressions = this.requireRenderer(renderer).expressionSystem;
+        if (!expressions) throw new Error('The avatar has no facial expressions');
+        return expressions;
+    }
+};
+
+// Make available globally
+window.AvatarTools = AvatarTools;
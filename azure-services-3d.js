@@ -3,6 +3,11 @@
  * 
  * Uses Azure Speech SDK with FacialExpression viseme type to get
  * 55 blendshape values per frame at 60fps for high-quality lip sync.
+ * Frame times are shifted by the audio output latency (audio-sync.js).
+ * Frames are filtered per channel group (temporal-filter.js) as they are reached.
+ *
+ * Drives the avatar through its BlendShapeMapper - attach it first:
+ *   azure3d.setBlendShapeMapper(renderer.blendShapeMapper);
  */
 
 class AzureServices3D {
@@ -26,11 +31,19 @@ class AzureServices3D {
         this.player = null;
 
         // BlendShape frame data
-        this.blendShapeFrames = [];      // Array of {frameIndex, shapes[55]}
+        this.blendShapeFrames = [];      // Array of {frameIndex, shapes[55], filteredShapes[55] once reached}
         this.currentFrameIndex = 0;
+        this.currentFrame = null;        // Latest reached frame (spring target)
         this.playbackStartTime = null;
         this.animationFrameId = null;
 
+        // BlendShapeMapper of the avatar being driven (set by the app)
+        this.blendShapeMapper = null;
+        this.warnedNoMapper = false;
+
+        // Per-channel temporal filters over the 60fps frames (TemporalFilter.settings.groups)
+        this.filterBank = window.FilterBank ? new FilterBank() : null;
+
         // Session management
         this.currentSynthesisId = 0;
 
@@ -54,6 +67,13 @@ class AzureServices3D {
         }
     }
 
+    /**
+     * Attach the BlendShapeMapper of the avatar this service drives
+     */
+    setBlendShapeMapper(mapper) {
+        this.blendShapeMapper = mapper;
+    }
+
     /**
      * Configure Azure services
      */
@@ -129,8 +149,16 @@ class AzureServices3D {
 
         this.player.onAudioStart = () => {
             console.log('Audio playback started, frames ready:', this.blendShapeFrames.length);
+            window.AudioSync?.estimate();
             this.playbackStartTime = performance.now();
             this.currentFrameIndex = 0;
+            this.filterBank?.reset();
+
+            // Frames have nowhere to go without the avatar's mapper
+            if (!this.blendShapeMapper && !this.warnedNoMapper) {
+                console.warn('AzureServices3D: No BlendShapeMapper attached - call setBlendShapeMapper(renderer.blendShapeMapper) to animate the avatar');
+                this.warnedNoMapper = true;
+            }
             this.isSpeaking = true;
             this.emit('speaking', true);
             this.processBlendShapeFrames();
@@ -235,15 +263,20 @@ class AzureServices3D {
             return;
         }
 
-        const elapsed = performance.now() - this.playbackStartTime;
+        // Audio reaches the ear output-latency later than playback starts
+        const syncOffset = window.AudioSync ? window.AudioSync.getOffsetMs() : 0;
+        const elapsed = performance.now() - this.playbackStartTime - syncOffset;
         
         // Find the frame that corresponds to current playback time
         while (this.currentFrameIndex < this.blendShapeFrames.length) {
             const frame = this.blendShapeFrames[this.currentFrameIndex];
             
             if (frame.timeMs <= elapsed) {
-                // Apply this frame's blendshapes
-                window.BlendShapeMapper.applyFrame(frame.shapes, 1.0);
+                // Filter every reached frame in order, then it becomes the spring target
+                if (this.filterBank && this.blendShapeMapper) {
+                    frame.filteredShapes = this.filterBank.process(frame.shapes, this.blendShapeMapper.AZURE_BLENDSHAPES, frame.timeMs / 1000);
+                }
+                this.currentFrame = frame;
                 
                 // Emit for debug display
                 this.emit('blendshapeFrame', {
@@ -259,6 +292,11 @@ class AzureServices3D {
             }
         }
 
+        // Spring toward the latest frame every render frame (frame-rate independent)
+        if (this.currentFrame && this.blendShapeMapper) {
+            this.blendShapeMapper.springToFrame(this.currentFrame.filteredShapes || this.currentFrame.shapes, 1.0);
+        }
+
         // ALWAYS continue the animation loop while speaking
         // New frames may still be arriving from Azure
         if (this.isSpeaking) {
@@ -277,6 +315,7 @@ class AzureServices3D {
 
         this.isSpeaking = false;
         this.playbackStartTime = null;
+        this.currentFrame = null;
 
         // Smoothly return to neutral
         this.smoothResetToNeutral();
@@ -297,12 +336,16 @@ class AzureServices3D {
             const eased = 1 - Math.pow(1 - t, 3);
             
             // Lerp all values toward 0
-            BlendShapeMapper.lerpToFrame(new Array(55).fill(0), eased);
+            if (this.blendShapeMapper) {
+                this.blendShapeMapper.lerpToFrame(new Array(55).fill(0), eased);
+            }
             
             if (t < 1) {
                 requestAnimationFrame(animate);
             } else {
-                BlendShapeMapper.reset();
+                if (this.blendShapeMapper) {
+                    this.blendShapeMapper.reset();
+                }
                 this.emit('speaking', false);
             }
         };
@@ -414,6 +457,7 @@ class AzureServices3D {
         // Clear previous data
         this.blendShapeFrames = [];
         this.currentFrameIndex = 0;
+        this.currentFrame = null;
         this.playbackStartTime = null;
 
         if (this.animationFrameId) {
@@ -7,6 +7,70 @@
  * Now supports Audio2Face mode where visemes are disabled and audio
  * is routed to A2F for ARKit blendshape processing.
  * 
+ * Playback clocks are shifted by the audio output latency (audio-sync.js).
+ * 
+ * Streamed replies (processMessage with streamingEnabled):
+ * - The chat completion arrives over SSE and is cut into sentences
+ *   (sentence-splitter.js) as it streams
+ * - Each sentence is synthesized while the previous one plays and scheduled
+ *   gaplessly on one Web Audio timeline (audio-scheduler.js); its visemes
+ *   join a single queue, so lip-sync runs on across sentence boundaries
+ * - A2F mode doesn't stream: the A2F client animates an utterance against
+ *   its own audio element, which can't run on the gapless timeline, so the
+ *   full reply is spoken as one utterance
+ * 
+ * Barge-in (setBargeInEnabled): recognition keeps running while the avatar
+ * talks; as soon as the user is heard, interrupt() stops synthesis and
+ * playback, eases the face to neutral and cuts the reply in
+ * conversationHistory down to the words that were actually played
+ * (word-boundary events on the playback clock).
+ * 
+ * Utterance queue: enqueue(text, options) speaks texts one after another
+ * (speak() cuts in immediately instead). pause() / resume() hold the audio,
+ * the viseme timeline and the queue together; skip() and stopAll() ease the
+ * face back to neutral. Replies from processMessage take precedence - the
+ * queue waits while one is playing.
+ * 
+ * Queue events:
+ *   queued          { id, text, pending }
+ *   utteranceStart  { id, text, pending }
+ *   utteranceEnd    { id, text, status: 'ended' | 'skipped' | 'interrupted' | 'stopped' | 'failed' }
+ *   queueEmpty      Last queued utterance finished
+ *   paused / resumed (the A2F client follows these - it animates on its own clock)
+ * 
+ * Word events (captions, karaoke highlighting) follow the same playback
+ * clock as the visemes, on every path:
+ *   word            { index, text, start, end, offsetMs, replyText, fromChat }
+ *                   start/end are character offsets of the word in replyText
+ *   wordsEnd        { status } - the reply's words are over
+ * 
+ * Speech cues (speech-cues.js): tags like <smile/> in the text become SSML
+ * bookmarks; each fires a 'cue' event { name, offsetMs } when the playback
+ * clock reaches it. Cue tags are stripped from the reply text everywhere
+ * else (display, word positions, truncated history).
+ * 
+ * Speaking styles (speaking-styles.js, setSpeakingStyle): each reply can be
+ * spoken in an Azure style (<mstts:express-as>, e.g. cheerful or sad) with
+ * pitch and volume. A fixed style applies to every reply; 'auto' lets the
+ * LLM open each reply with a tag like "[cheerful]". The reply's style is
+ * announced with a 'style' event { style, degree } ({ style: null } when it
+ * ends) so the avatar can wear a matching face.
+ * 
+ * Languages (language-voices.js, setLanguages): with several candidate
+ * languages the recognizer auto-detects which one the user speaks
+ * ('transcript' carries it as language), and the LLM is told to answer in
+ * it. Each reply - each sentence when streaming - is spoken with xml:lang
+ * set to the language it is written in, by that language's voice
+ * (setLanguageVoices) or, for multilingual voices, inside <lang>.
+ * 
+ * Tool calling (avatar-tools.js): chat requests carry the AvatarTools
+ * schema. Tool calls in the answer are run against the tool context
+ * (setToolContext), their results sent back and the request repeated until
+ * the model answers in words - at most maxToolRounds times, then tools are
+ * switched off for the last request. Each call emits 'toolCall'
+ * { name, arguments, result }. Tool exchanges belong to their turn only;
+ * conversationHistory keeps the spoken reply.
+ * 
  * UPDATED: iOS Safari compatibility fixes
  * - Uses ArrayBuffer synthesis for iOS
  * - Manual audio element creation with playsinline
@@ -30,6 +94,7 @@ class AzureServicesViseme {
         // Viseme control
         this.visemeIntensity = 1.0;
         this.visemeEnabled = true;  // Can be disabled when A2F is active
+        this.visemeMapper = null;   // Set by the app to the avatar renderer's mapper
 
         // Azure SDK objects
         this.speechConfig = null;
@@ -42,6 +107,60 @@ class AzureServicesViseme {
         this.currentVisemeIndex = 0;
         this.playbackStartTime = null;
         this.animationFrameId = null;
+        this.neutralResetId = 0;          // Bumped when a timeline starts: a neutral reset still running stops
+
+        // Prosody rate of the current utterance and the resulting amplitude factor (articulation.js)
+        this.utteranceRate = 1.0;
+        this.articulationScale = 1.0;
+
+        // Streamed replies: sentences synthesized while earlier ones play
+        this.streamingEnabled = true;
+        this.audioScheduler = window.AudioScheduler ? new AudioScheduler() : null;
+        this.stream = null;               // Active streamed reply (see beginStream)
+        this.useSchedulerClock = false;   // Lip-sync follows the scheduler timeline instead of the wall clock
+
+        // Barge-in: keep listening while speaking, stop when the user talks over the avatar
+        this.bargeInEnabled = false;
+        this.bargeInMinChars = 3;         // Interim transcript length that counts as speech (ignores clicks/coughs)
+
+        // Reply being spoken (see _createReply)
+        this.reply = null;
+        this.requestId = 0;               // Bumped by interrupt() so replies still being generated are dropped
+
+        // Word boundaries of the reply, for truncating it at an interruption
+        this.replyWords = [];             // { text, offsetMs } in spoken order
+        this.wordClockStart = 0;          // First word timed on the current playback clock
+        this.audioElement = null;         // Element playing the reply (iOS / A2F)
+        this.wordsEmitted = 0;            // Words already announced with a 'word' event
+        this.wordCursor = 0;              // Where the next word is searched for in the reply text
+        this.wordFrameId = null;
+
+        // Speech cue bookmarks of the reply: { name, offsetMs }, timed like replyWords
+        this.replyCues = [];
+        this.cueClockStart = 0;
+        this.cuesFired = 0;
+        this.cuesInPrompt = true;         // Tell the LLM which cues it may use
+
+        // Reply defaults: style 'auto' (LLM tags each reply), '' (none) or an Azure style name;
+        // degree is styledegree (0.01-2), pitch / volume are SSML prosody values ('' = voice default)
+        this.speakingStyle = { style: 'auto', degree: 1.0, pitch: '', volume: '' };
+
+        // Recognizer languages: more than one and it auto-detects among them (up to 10)
+        this.languages = ['en-US', 'es-ES', 'de-DE', 'fr-FR'];
+        this.userLanguage = null;         // Locale of the user's last message
+        this.languageVoices = {};         // locale -> voice, over LanguageVoices.voices
+
+        // LLM tool calling (avatar-tools.js)
+        this.toolsEnabled = true;
+        this.toolContext = { azure: this }; // Handed to tool handlers (the app adds app and renderer)
+        this.maxToolRounds = 3;           // Tool-call round trips per message before words are required
+
+        // Utterance queue (enqueue / pause / resume / skip / stopAll)
+        this.queue = [];                  // { id, text, options, resolve }
+        this.currentUtterance = null;
+        this.utteranceId = 0;
+        this.isPaused = false;
+        this.pausedAt = null;             // performance.now() when playback was paused
 
         // Session management
         this.currentSynthesisId = 0;
@@ -75,6 +194,13 @@ class AzureServicesViseme {
         }
     }
 
+    /**
+     * Attach the VisemeMapper of the avatar this service drives
+     */
+    setVisemeMapper(mapper) {
+        this.visemeMapper = mapper;
+    }
+
     /**
      * Enable/disable viseme processing (disable when A2F is active)
      */
@@ -84,8 +210,8 @@ class AzureServicesViseme {
         
         if (!enabled) {
             // Reset any active visemes
-            if (window.VisemeMapper) {
-                window.VisemeMapper.reset();
+            if (this.visemeMapper) {
+                this.visemeMapper.reset();
             }
         }
     }
@@ -140,21 +266,50 @@ class AzureServicesViseme {
         const { speech, voice } = this.config;
 
         this.speechConfig = SpeechSDK.SpeechConfig.fromSubscription(speech.key, speech.region);
-        this.speechConfig.speechRecognitionLanguage = 'en-US';
         this.speechConfig.speechSynthesisVoiceName = voice.name;
 
         // Setup recognizer
-        const audioConfig = SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
-        this.recognizer = new SpeechSDK.SpeechRecognizer(this.speechConfig, audioConfig);
+        this.recognizer = this.createRecognizer();
         this.setupRecognizerEvents();
 
         console.log('Azure Speech services initialized for Viseme-based lip sync');
     }
 
+    /**
+     * Internal: Microphone recognizer for this.languages
+     * Several languages: continuous language ID, so the user can switch between utterances.
+     */
+    createRecognizer() {
+        const audioConfig = SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
+
+        if (this.languages.length > 1 && SpeechSDK.AutoDetectSourceLanguageConfig) {
+            this.speechConfig.setProperty(SpeechSDK.PropertyId.SpeechServiceConnection_LanguageIdMode, 'Continuous');
+            const autoDetect = SpeechSDK.AutoDetectSourceLanguageConfig.fromLanguages(this.languages);
+            console.log('Recognizer auto-detects:', this.languages.join(', '));
+            return SpeechSDK.SpeechRecognizer.FromConfig(this.speechConfig, autoDetect, audioConfig);
+        }
+
+        this.speechConfig.speechRecognitionLanguage = this.languages[0] || 'en-US';
+        console.log('Recognizer language:', this.speechConfig.speechRecognitionLanguage);
+        return new SpeechSDK.SpeechRecognizer(this.speechConfig, audioConfig);
+    }
+
+    /**
+     * Internal: Language of a recognition result (the detected one when auto-detecting)
+     */
+    _resultLanguage(result) {
+        if (this.languages.length > 1 && SpeechSDK.AutoDetectSourceLanguageResult) {
+            return SpeechSDK.AutoDetectSourceLanguageResult.fromResult(result).language || null;
+        }
+        return this.languages[0] || null;
+    }
+
     /**
      * Create fresh synthesizer for each speech request
      */
     createSynthesizer() {
+        const reply = this.reply;
+
         // Cleanup previous
         if (this.player) {
             try { this.player.close(); } catch (e) {}
@@ -166,11 +321,23 @@ class AzureServicesViseme {
         // New player
         this.player = new SpeechSDK.SpeakerAudioDestination();
 
+        let started = false;
         this.player.onAudioStart = () => {
+            // resume() after pause() restarts the element - keep the clock
+            if (started) return;
+            started = true;
+
             console.log('Audio playback started, visemes ready:', this.visemeQueue.length);
-            this.playbackStartTime = performance.now();
+            window.AudioSync?.estimate();
+
+            // Paused during synthesis: hold the audio, the clock starts at resume()
+            if (this._heldByPause()) {
+                try { this.player.pause(); } catch (e) {}
+            }
+            this.playbackStartTime = this.pausedAt ?? performance.now();
             this.currentVisemeIndex = 0;
             this.isSpeaking = true;
+            this._cancelNeutralReset();
             this.emit('speaking', true);
             
             // Only process visemes if enabled (not in A2F mode)
@@ -181,6 +348,7 @@ class AzureServicesViseme {
 
         this.player.onAudioEnd = () => {
             console.log('Audio playback ended');
+            this._endReply(reply);
             this.handleSpeechEnd();
         };
 
@@ -212,22 +380,33 @@ class AzureServicesViseme {
     setupRecognizerEvents() {
         this.recognizer.recognizing = (s, e) => {
             if (e.result.reason === SpeechSDK.ResultReason.RecognizingSpeech) {
+                // User talks over the avatar: cut it off before the final transcript arrives
+                if (this.bargeInEnabled && this.reply && e.result.text.trim().length >= this.bargeInMinChars) {
+                    this.interrupt();
+                }
                 this.emit('transcript', { text: e.result.text, isFinal: false });
             }
         };
 
         this.recognizer.recognized = (s, e) => {
             if (e.result.reason === SpeechSDK.ResultReason.RecognizedSpeech) {
-                this.emit('transcript', { text: e.result.text, isFinal: true });
+                const language = this._resultLanguage(e.result);
+                console.log(`Recognized (${language}): ${e.result.text}`);
+                this.emit('transcript', { text: e.result.text, isFinal: true, language });
             }
         };
 
+        // A recognizer replaced by setLanguages() may still report its session ending
+        const recognizer = this.recognizer;
+
         this.recognizer.sessionStarted = () => {
+            if (recognizer !== this.recognizer) return;
             this.isListening = true;
             this.emit('listening', true);
         };
 
         this.recognizer.sessionStopped = () => {
+            if (recognizer !== this.recognizer) return;
             this.isListening = false;
             this.emit('listening', false);
         };
@@ -256,6 +435,19 @@ class AzureServicesViseme {
             }
         };
 
+        // Word timings, for truncating the reply if it is interrupted
+        this.synthesizer.wordBoundary = (s, e) => {
+            if (sessionId !== this.currentSynthesisId) return;
+            const word = this._toWord(e);
+            if (word) this.replyWords.push(word);
+        };
+
+        // Speech cue bookmarks (speech-cues.js)
+        this.synthesizer.bookmarkReached = (s, e) => {
+            if (sessionId !== this.currentSynthesisId) return;
+            this.replyCues.push({ name: e.text, offsetMs: e.audioOffset / 10000 });
+        };
+
         this.synthesizer.synthesisStarted = () => {
             console.log('Synthesis started...');
         };
@@ -278,17 +470,22 @@ class AzureServicesViseme {
             return;
         }
 
-        const elapsed = performance.now() - this.playbackStartTime;
+        // Audio reaches the ear output-latency later than playback starts
+        const syncOffset = window.AudioSync ? window.AudioSync.getOffsetMs() : 0;
+        const elapsed = this.getPlaybackMs() - syncOffset;
+
+        // Fast speech under-articulates; the user's intensity applies on top
+        this.articulationScale = window.Articulation
+            ? window.Articulation.getScale(this.utteranceRate, this.visemeQueue, elapsed)
+            : 1.0;
+        const intensity = this.visemeIntensity * this.articulationScale;
+
+        const useCoarticulation = window.Coarticulation && window.Coarticulation.settings.enabled;
 
         while (this.currentVisemeIndex < this.visemeQueue.length) {
             const viseme = this.visemeQueue[this.currentVisemeIndex];
 
             if (viseme.audioOffset <= elapsed) {
-                // Apply this viseme with smooth blending and intensity
-                if (window.VisemeMapper) {
-                    window.VisemeMapper.blendToViseme(viseme.visemeId, 0.4, this.visemeIntensity);
-                }
-
                 this.emit('viseme', {
                     visemeId: viseme.visemeId,
                     index: this.currentVisemeIndex,
@@ -302,6 +499,34 @@ class AzureServicesViseme {
             }
         }
 
+        const lastIndex = this.currentVisemeIndex - 1;
+        const lastViseme = this.visemeQueue[lastIndex];
+
+        // Hold p/b/m and f/v closures long enough to read, even when Azure's segment is short
+        if (this.visemeMapper) {
+            this.visemeMapper.updateClosure(this.visemeQueue, lastIndex, elapsed);
+        }
+
+        // Without coarticulation, spring toward the current viseme every frame
+        // (diphthongs glide across their segment)
+        if (this.visemeMapper && !useCoarticulation && lastViseme) {
+            const progress = this.visemeMapper.isDiphthong(lastViseme.visemeId)
+                ? this.visemeMapper.getVisemeProgress(this.visemeQueue, lastIndex, elapsed)
+                : null;
+            this.visemeMapper.blendToViseme(lastViseme.visemeId, null, intensity, progress);
+        }
+
+        // Coarticulation: blend every frame, looking ahead at upcoming visemes
+        if (this.visemeMapper && useCoarticulation) {
+            this.visemeMapper.blendCoarticulated(
+                this.visemeQueue,
+                this.currentVisemeIndex - 1,
+                elapsed,
+                null,
+                intensity
+            );
+        }
+
         if (this.isSpeaking) {
             this.animationFrameId = requestAnimationFrame(() => this.processVisemes());
         }
@@ -318,6 +543,7 @@ class AzureServicesViseme {
 
         this.isSpeaking = false;
         this.playbackStartTime = null;
+        this.useSchedulerClock = false;
 
         // Only reset visemes if we were controlling them
         if (this.visemeEnabled) {
@@ -331,24 +557,28 @@ class AzureServicesViseme {
      * Smoothly reset visemes to neutral over 300ms
      */
     smoothResetToNeutral() {
-        if (!window.VisemeMapper) {
+        if (!this.visemeMapper) {
             this.emit('speaking', false);
             return;
         }
 
         const duration = 300;
         const startTime = performance.now();
+        const resetId = ++this.neutralResetId;
 
         const animate = () => {
+            // The next utterance has started driving the springs
+            if (resetId !== this.neutralResetId) return;
+
             const elapsed = performance.now() - startTime;
             const t = Math.min(elapsed / duration, 1);
 
-            window.VisemeMapper.blendToNeutral(0.15);
+            this.visemeMapper.blendToNeutral();
 
             if (t < 1) {
                 requestAnimationFrame(animate);
             } else {
-                window.VisemeMapper.reset();
+                this.visemeMapper.reset();
                 this.emit('speaking', false);
             }
         };
@@ -356,6 +586,13 @@ class AzureServicesViseme {
         requestAnimationFrame(animate);
     }
 
+    /**
+     * Internal: A new timeline starts - stop a neutral reset still easing out the last one
+     */
+    _cancelNeutralReset() {
+        this.neutralResetId++;
+    }
+
     /**
      * Start listening for speech
      */
@@ -363,10 +600,13 @@ class AzureServicesViseme {
         if (!this.isConfigured || this.isListening) return false;
 
         try {
-            await this.recognizer.startContinuousRecognitionAsync();
+            // The SDK reports through callbacks (the call itself returns nothing to await)
+            await new Promise((resolve, reject) => {
+                this.recognizer.startContinuousRecognitionAsync(resolve, reject);
+            });
             return true;
         } catch (error) {
-            this.emit('error', { message: 'Microphone error: ' + error.message });
+            this.emit('error', { message: 'Microphone error: ' + (error.message || error) });
             return false;
         }
     }
@@ -378,7 +618,9 @@ class AzureServicesViseme {
         if (!this.isListening) return;
 
         try {
-            await this.recognizer.stopContinuousRecognitionAsync();
+            await new Promise((resolve, reject) => {
+                this.recognizer.stopContinuousRecognitionAsync(resolve, reject);
+            });
         } catch (error) {
             console.error('Stop listening error:', error);
         }
@@ -386,27 +628,51 @@ class AzureServicesViseme {
 
     /**
      * Process message through OpenAI and speak response
+     * @param {string} userText
+     * @param {{language?: string}} [options] - Locale the message was spoken in (from 'transcript'); detected from the text otherwise
      */
-    async processMessage(userText) {
+    async processMessage(userText, options = {}) {
         if (!this.isConfigured) {
             this.emit('error', { message: 'Not configured' });
             return null;
         }
 
+        // A new message always cuts off the reply still playing (queued utterances wait)
+        this.interrupt();
+        const requestId = this.requestId;
+
+        this.userLanguage = this._messageLanguage(userText, options.language);
         this.conversationHistory.push({ role: 'user', content: userText });
         this.emit('thinking', true);
 
         try {
+            // Audio2Face needs whole utterances (see the class comment)
+            if (this.streamingEnabled && this.visemeEnabled && this.audioScheduler) {
+                return await this.processMessageStreamed();
+            }
+
             const response = await this.callOpenAI();
-            this.conversationHistory.push({ role: 'assistant', content: response });
+            if (requestId !== this.requestId) {
+                console.log('Reply dropped - interrupted while thinking');
+                return null;
+            }
 
-            this.emit('response', response);
+            // Style and cue tags steer the voice and face, they're never shown or kept
+            const text = this._replyText(response);
+            const entry = { role: 'assistant', content: text };
+            this.conversationHistory.push(entry);
+
+            this.emit('response', text);
             this.emit('thinking', false);
 
-            await this.speak(response);
+            await this.speak(response, { historyEntry: entry, lang: this._replyLanguage(text, this.userLanguage) });
 
-            return response;
+            return text;
         } catch (error) {
+            // Synthesis torn down by an interruption isn't an error
+            if (requestId !== this.requestId) return null;
+
+            this.cancelStream();
             this.emit('thinking', false);
             this.emit('error', { message: error.message });
             return null;
@@ -414,120 +680,701 @@ class AzureServicesViseme {
     }
 
     /**
-     * Call Azure OpenAI
+     * Stream the reply and speak it sentence by sentence
+     * Emits responseStart / responseDelta while text arrives, response when complete
      */
-    async callOpenAI() {
+    async processMessageStreamed() {
+        const stream = await this.beginStream();
+        const reply = stream.reply;
+        let started = false;
+        let response;
+
+        try {
+            response = await this.streamOpenAI((delta) => {
+                if (stream.cancelled) return;
+
+                if (!started) {
+                    started = true;
+                    this.emit('thinking', false);
+                    this.emit('responseStart');
+                }
+                reply.raw += delta;
+                reply.text = this._replyText(reply.raw, true);
+                this.emit('responseDelta', delta);
+
+                this._feedStream(stream);
+            }, stream.abort.signal);
+        } catch (error) {
+            // Aborted by interrupt() - history already holds what was spoken
+            if (stream.cancelled) return null;
+            throw error;
+        }
+
+        if (stream.cancelled) return null;
+
+        if (!started) {
+            this.emit('thinking', false);
+        }
+        reply.text = this._replyText(response);
+
+        this._feedStream(stream, true);
+        stream.splitter.flush().forEach(sentence => this.queueSentence(stream, sentence));
+        reply.entry = { role: 'assistant', content: reply.text };
+        this.conversationHistory.push(reply.entry);
+        this.emit('response', reply.text);
+
+        // No more sentences coming - the reply ends when the last one has played
+        stream.inputDone = true;
+        this.checkStreamEnd(stream);
+
+        await stream.done;
+        return reply.text;
+    }
+
+    /**
+     * Internal: Chat completion URL and request body
+     * @param {Object} [options] - Extra body fields
+     * @param {Array<Object>} [exchange] - This turn's tool calls and results, sent after the history
+     * @param {boolean} [allowTools=true] - false: the model must answer in words
+     */
+    _buildChatRequest(options = {}, exchange = [], allowTools = true) {
         const { endpoint, key, deployment } = this.config.openai;
         const cleanEndpoint = endpoint.replace(/\/+$/, '');
         const url = `${cleanEndpoint}/openai/deployments/${deployment}/chat/completions?api-version=2024-08-01-preview`;
 
+        const hints = [];
+        if (this.speakingStyle.style === 'auto' && window.SpeakingStyles) {
+            hints.push(window.SpeakingStyles.getPromptHint());
+        }
+        if (this.cuesInPrompt && window.SpeechCues) {
+            hints.push(window.SpeechCues.getPromptHint());
+        }
+        if (window.LanguageVoices) {
+            hints.push(window.LanguageVoices.getPromptHint(this.userLanguage));
+        }
+        const tools = this._toolSchema();
+        if (tools) {
+            hints.push(window.AvatarTools.getPromptHint());
+        }
+        const systemPrompt = [this.config.systemPrompt, ...hints].join('\n\n');
+
         const messages = [
-            { role: 'system', content: this.config.systemPrompt },
-            ...this.conversationHistory.slice(-10)
+            { role: 'system', content: systemPrompt },
+            ...this.conversationHistory.slice(-10),
+            ...exchange
         ];
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'api-key': key
+        // Tools stay declared once used in the exchange; tool_choice 'none' forces words
+        const toolFields = tools ? { tools, tool_choice: allowTools ? 'auto' : 'none' } : {};
+
+        return {
+            url,
+            init: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'api-key': key
+                },
+                body: JSON.stringify({
+                    messages,
+                    max_tokens: 500,
+                    temperature: 0.7,
+                    ...toolFields,
+                    ...options
+                })
+            }
+        };
+    }
+
+    /**
+     * Call Azure OpenAI
+     */
+    async callOpenAI() {
+        const requestId = this.requestId;
+        const exchange = [];
+
+        for (let round = 0; ; round++) {
+            const { url, init } = this._buildChatRequest({}, exchange, round < this.maxToolRounds);
+            const response = await fetch(url, init);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`API Error ${response.status}: ${errorText}`);
+            }
+
+            const data = await response.json();
+            const message = data.choices[0].message;
+            if (!message.tool_calls?.length || requestId !== this.requestId) {
+                return message.content || '';
+            }
+
+            await this._runToolCalls(message.content, message.tool_calls, exchange);
+        }
+    }
+
+    /**
+     * Call Azure OpenAI with a streamed (SSE) response
+     * Tool calls are run between streamed requests; text of every round goes to onDelta
+     * (rounds after the first spaced from it, without a style tag of their own).
+     * @param {function(string)} onDelta - Called with each chunk of reply text
+     * @param {AbortSignal} [signal] - Aborts the request
+     * @returns {Promise<string>} The complete reply
+     */
+    async streamOpenAI(onDelta, signal = null) {
+        const requestId = this.requestId;
+        const exchange = [];
+        let text = '';
+
+        for (let round = 0; ; round++) {
+            const { url, init } = this._buildChatRequest({ stream: true }, exchange, round < this.maxToolRounds);
+            const continued = text ? this._continueReply(text, onDelta) : null;
+            const result = await this._streamRound(url, { ...init, signal }, continued ? continued.onDelta : onDelta);
+            text += continued ? continued.finish() : result.text;
+
+            if (!result.toolCalls.length || requestId !== this.requestId) {
+                return text;
+            }
+            await this._runToolCalls(result.text, result.toolCalls, exchange);
+        }
+    }
+
+    /**
+     * Internal: Deltas of a round that continues streamed reply text
+     * Its start is held until a leading style tag can be told apart and dropped
+     * (the first one set the reply's style), then a space joins it to the text so far.
+     * @param {string} text - Reply text so far
+     * @param {function(string)} onDelta
+     * @returns {{onDelta: function(string), finish: function(): string}} finish() returns the text passed on
+     */
+    _continueReply(text, onDelta) {
+        const separator = /\s$/.test(text) ? '' : ' ';
+        let head = '';
+        let settled = false;
+        let sent = '';
+
+        const send = (delta) => {
+            if (!sent) {
+                delta = delta.replace(/^\s+/, '');
+                if (!delta) return;
+                delta = separator + delta;
+            }
+            sent += delta;
+            onDelta(delta);
+        };
+        const settle = (streaming) => {
+            const parsed = window.SpeakingStyles ? SpeakingStyles.parse(head, streaming) : { text: head, pending: false };
+            if (parsed.pending) return;
+            settled = true;
+            send(parsed.text);
+        };
+
+        return {
+            onDelta: (delta) => {
+                if (settled) {
+                    send(delta);
+                    return;
+                }
+                head += delta;
+                if (head.trim()) settle(true);
             },
-            body: JSON.stringify({
-                messages,
-                max_tokens: 500,
-                temperature: 0.7
-            })
-        });
+            finish: () => {
+                if (!settled) settle(false);
+                return sent;
+            }
+        };
+    }
+
+    /**
+     * Internal: One streamed chat request
+     * @returns {Promise<{text: string, toolCalls: Array<Object>}>} Its text and assembled tool calls
+     */
+    async _streamRound(url, init, onDelta) {
+        const response = await fetch(url, init);
 
         if (!response.ok) {
             const errorText = await response.text();
             throw new Error(`API Error ${response.status}: ${errorText}`);
         }
 
-        const data = await response.json();
-        return data.choices[0].message.content;
+        const toolCalls = [];
+
+        // No ReadableStream support: fall back to the whole body at once
+        if (!response.body || !response.body.getReader) {
+            const text = this._parseSSE(await response.text(), onDelta, toolCalls).text;
+            return { text, toolCalls };
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Only parse complete lines; keep the partial last line for the next chunk
+            const end = buffer.lastIndexOf('\n');
+            if (end < 0) continue;
+
+            const parsed = this._parseSSE(buffer.slice(0, end), onDelta, toolCalls);
+            buffer = buffer.slice(end + 1);
+            text += parsed.text;
+
+            if (parsed.done) {
+                reader.cancel().catch(() => {});
+                return { text, toolCalls };
+            }
+        }
+
+        text += this._parseSSE(buffer, onDelta, toolCalls).text;
+        return { text, toolCalls };
     }
 
     /**
-     * Speak text with Viseme-based lip sync
-     * In A2F mode, emits audioReady event for external processing
-     * iOS/Safari: Uses ArrayBuffer synthesis with manual audio element
+     * Internal: Parse SSE lines of a chat completion stream
+     * @param {Array<Object>} [toolCalls] - Tool call fragments are assembled into this (by index)
+     * @returns {{text: string, done: boolean}} Text found and whether [DONE] was reached
      */
-    async speak(text) {
-        if (!this.speechConfig) {
-            console.error('Speech not configured');
-            return;
+    _parseSSE(chunk, onDelta, toolCalls = null) {
+        let text = '';
+
+        for (const line of chunk.split('\n')) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') {
+                return { text, done: true };
+            }
+
+            try {
+                // Azure sends a first chunk with empty choices (prompt filter results)
+                const delta = JSON.parse(payload).choices?.[0]?.delta;
+                if (delta?.content) {
+                    text += delta.content;
+                    onDelta(delta.content);
+                }
+                if (delta?.tool_calls && toolCalls) {
+                    this._mergeToolCallDeltas(toolCalls, delta.tool_calls);
+                }
+            } catch (error) {
+                console.warn('Ignoring malformed SSE chunk:', payload);
+            }
+        }
+
+        return { text, done: false };
+    }
+
+    /**
+     * Internal: Add streamed tool call fragments (name and arguments arrive in pieces)
+     */
+    _mergeToolCallDeltas(toolCalls, parts) {
+        parts.forEach(part => {
+            const index = part.index ?? 0;
+            if (!toolCalls[index]) {
+                toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+            }
+            const call = toolCalls[index];
+            if (part.id) call.id = part.id;
+            if (part.function?.name) call.function.name += part.function.name;
+            if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        });
+    }
+
+    /**
+     * Internal: Run the model's tool calls and record them with their results for the next request
+     * @param {string|null} content - Text the model sent along with the calls
+     * @param {Array<{id: string, function: {name: string, arguments: string}}>} toolCalls
+     * @param {Array<Object>} exchange - This turn's tool messages (appended to)
+     */
+    async _runToolCalls(content, toolCalls, exchange) {
+        exchange.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+
+        for (const call of toolCalls) {
+            const { name, arguments: args } = call.function;
+            const result = window.AvatarTools
+                ? await window.AvatarTools.execute(name, args, this.toolContext)
+                : JSON.stringify({ error: 'No tools available' });
+
+            console.log(`Tool call: ${name}(${args}) -> ${result}`);
+            this.emit('toolCall', { name, arguments: args, result });
+            exchange.push({ role: 'tool', tool_call_id: call.id, content: result });
+        }
+    }
+
+    /**
+     * Internal: Tools to offer the model, or null
+     */
+    _toolSchema() {
+        if (!this.toolsEnabled || !window.AvatarTools) return null;
+        const tools = window.AvatarTools.getSchema();
+        return tools.length ? tools : null;
+    }
+
+    /**
+     * Enable/disable LLM tool calling
+     */
+    setToolsEnabled(enabled) {
+        this.toolsEnabled = enabled;
+        console.log('Tool calling:', enabled ? 'enabled' : 'disabled');
+    }
+
+    /**
+     * Add to what tool handlers receive (e.g. { app, renderer })
+     */
+    setToolContext(context) {
+        Object.assign(this.toolContext, context);
+    }
+
+    /**
+     * Start a streamed reply (cancels any reply still playing)
+     */
+    async beginStream() {
+        this.cancelStream();
+
+        // Web Audio needs an unlocked context on iOS
+        if (window.iOSAudioHelper && !window.iOSAudioHelper.unlocked) {
+            await window.iOSAudioHelper.unlock();
         }
 
         this.currentSynthesisId++;
-        console.log(`Starting synthesis session #${this.currentSynthesisId}, visemeEnabled: ${this.visemeEnabled}, iOS mode: ${this.useIOSMode}`);
 
-        // Clear previous data
+        // Fresh lip-sync timeline
         this.visemeQueue = [];
         this.currentVisemeIndex = 0;
         this.playbackStartTime = null;
-
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
+        this.utteranceRate = this.config.voice.rate;
+        this._resetReplyWords();
+
+        const stream = {
+            id: this.currentSynthesisId,
+            splitter: new SentenceSplitter(),
+            pending: [],              // Sentences waiting for synthesis
+            synthesizing: false,
+            inputDone: false,         // LLM stream finished
+            started: false,           // First sentence playing
+            cancelled: false,
+            abort: new AbortController(),
+            reply: this._createReply('', { record: true }),   // .raw keeps the style and cue tags
+            fed: 0,                   // Characters of reply.raw passed to the splitter
+            // One synthesizer per reply, reused for every sentence (no audio output)
+            synthesizer: new SpeechSDK.SpeechSynthesizer(this.speechConfig, null)
+        };
+        stream.done = new Promise(resolve => stream.resolve = resolve);
 
-        const ssml = this.buildSSML(text);
+        this.audioScheduler.stop();
+        this.audioScheduler.on('drained', () => this.checkStreamEnd(stream));
 
-        // If visemes are disabled (A2F mode), synthesize to buffer and emit audioReady
-        if (!this.visemeEnabled) {
-            return this.speakWithAudioCapture(ssml);
+        this.stream = stream;
+        this.reply = stream.reply;
+        this._trackTimeline();
+        console.log(`Starting streamed reply #${stream.id}, visemeEnabled: ${this.visemeEnabled}`);
+        return stream;
+    }
+
+    /**
+     * Internal: Pass new reply text to the sentence splitter
+     * The reply's style tag is held back until it is complete (or turns out not to be one).
+     * @param {boolean} [final=false] - The LLM stream has ended
+     */
+    _feedStream(stream, final = false) {
+        const reply = stream.reply;
+
+        if (reply.style === undefined) {
+            const tagged = this._parseStyle(reply.raw, !final);
+            if (tagged.pending) return;
+
+            this._setReplyStyle(reply, this._resolveStyle({}, tagged));
+            stream.fed = reply.raw.length - tagged.text.length;
         }
 
-        // iOS/Safari mode - always use ArrayBuffer approach for reliability
-        if (this.useIOSMode) {
-            return this.speakIOSCompatible(ssml);
+        const text = reply.raw.slice(stream.fed);
+        stream.fed = reply.raw.length;
+        stream.splitter.push(text).forEach(sentence => this.queueSentence(stream, sentence));
+    }
+
+    /**
+     * Queue a finished sentence for synthesis
+     */
+    queueSentence(stream, sentence) {
+        if (stream.cancelled) return;
+
+        stream.pending.push(sentence);
+        this.pumpStream(stream);
+    }
+
+    /**
+     * Internal: Synthesize queued sentences one at a time, in order
+     * Each sentence is synthesized as soon as the previous one is scheduled,
+     * i.e. while it plays.
+     */
+    async pumpStream(stream) {
+        if (stream.synthesizing || stream.cancelled) return;
+
+        const sentence = stream.pending.shift();
+        if (sentence === undefined) {
+            this.checkStreamEnd(stream);
+            return;
         }
 
-        // Desktop mode - use SpeakerAudioDestination
-        this.createSynthesizer();
+        stream.synthesizing = true;
+        try {
+            // Each sentence in its own language; unclear ones ("OK!") stay in the reply's
+            const reply = stream.reply;
+            reply.lang = this._replyLanguage(sentence, reply.lang ?? this.userLanguage);
+            const { style, degree } = reply.style || {};
+            const ssml = this.buildSSML(sentence, { style, styleDegree: degree, lang: reply.lang });
+            const result = await this.synthesizeSentence(stream, ssml);
+            if (!stream.cancelled) {
+                await this.playSentence(stream, result);
+            }
+        } catch (error) {
+            if (!stream.cancelled) {
+                console.error('Sentence synthesis failed:', error);
+                this.emit('error', { message: 'Speech synthesis failed: ' + error.message });
+            }
+        }
+        stream.synthesizing = false;
+
+        this.pumpStream(stream);
+    }
+
+    /**
+     * Internal: Synthesize one sentence to audio plus its visemes
+     * @returns {Promise<{audioData: ArrayBuffer, visemes: Array<{visemeId: number, audioOffset: number}>, words: Array<{text: string, offsetMs: number}>, cues: Array<{name: string, offsetMs: number}>}>}
+     */
+    synthesizeSentence(stream, ssml) {
+        const visemes = [];
+        const words = [];
+        const cues = [];
+        stream.synthesizer.visemeReceived = (s, e) => {
+            visemes.push({ visemeId: e.visemeId, audioOffset: e.audioOffset / 10000 });
+        };
+        stream.synthesizer.wordBoundary = (s, e) => {
+            const word = this._toWord(e);
+            if (word) words.push(word);
+        };
+        stream.synthesizer.bookmarkReached = (s, e) => {
+            cues.push({ name: e.text, offsetMs: e.audioOffset / 10000 });
+        };
 
         return new Promise((resolve, reject) => {
-            this.synthesizer.speakSsmlAsync(
+            stream.synthesizer.speakSsmlAsync(
                 ssml,
                 (result) => {
                     if (result.reason === SpeechSDK.ResultReason.SynthesizingAudioCompleted) {
-                        console.log('Viseme synthesis completed successfully');
-                        resolve(result);
+                        resolve({ audioData: result.audioData, visemes, words, cues });
                     } else {
-                        console.log('Viseme synthesis failed:', result.reason);
-                        reject(new Error('Speech synthesis failed'));
+                        reject(new Error(result.errorDetails || String(result.reason)));
                     }
                 },
-                (error) => {
-                    console.error('Viseme synthesis error:', error);
-                    reject(error);
-                }
+                reject
             );
         });
     }
 
     /**
-     * iOS/Safari compatible speech synthesis
-     * Synthesizes to ArrayBuffer, creates manual audio element with playsinline
+     * Internal: Hand a synthesized sentence to playback
+     * Schedules it right after the previous sentence and appends its visemes
+     * to the shared timeline.
      */
-    async speakIOSCompatible(ssml) {
-        console.log('[iOS TTS] Using iOS-compatible synthesis mode');
+    async playSentence(stream, { audioData, visemes, words, cues }) {
+        const segment = await this.audioScheduler.enqueue(audioData);
+        if (!segment || stream.cancelled) return;
 
-        // Ensure AudioContext is unlocked
-        if (window.iOSAudioHelper && !window.iOSAudioHelper.unlocked) {
-            console.log('[iOS TTS] AudioContext not unlocked - attempting unlock');
-            await window.iOSAudioHelper.unlock();
-        }
+        visemes.forEach(({ visemeId, audioOffset }) => {
+            this.visemeQueue.push({ visemeId, audioOffset: segment.startMs + audioOffset });
+        });
+        words.forEach(({ text, offsetMs }) => {
+            this.replyWords.push({ text, offsetMs: segment.startMs + offsetMs });
+        });
+        cues.forEach(({ name, offsetMs }) => {
+            this.replyCues.push({ name, offsetMs: segment.startMs + offsetMs });
+        });
 
-        // Create synthesizer without speaker output (null audio config)
-        if (this.synthesizer) {
-            try { this.synthesizer.close(); } catch (e) {}
-        }
-        this.synthesizer = new SpeechSDK.SpeechSynthesizer(this.speechConfig, null);
-        this.setupSynthesizerEvents();
+        if (!stream.started) {
+            stream.started = true;
+            console.log('Streamed playback started, visemes ready:', this.visemeQueue.length);
+            window.AudioSync?.estimate();
+            this.useSchedulerClock = true;
+            this.playbackStartTime = performance.now();
+            this.currentVisemeIndex = 0;
+            this.isSpeaking = true;
+            this._cancelNeutralReset();
+            this.emit('speaking', true);
+
+            if (this.visemeEnabled) {
+                this.processVisemes();
+            }
+        }
+    }
+
+    /**
+     * Internal: Finish the reply once the LLM is done and every sentence has played
+     */
+    checkStreamEnd(stream) {
+        if (stream !== this.stream || stream.cancelled) return;
+        if (!stream.inputDone || stream.synthesizing || stream.pending.length > 0) return;
+
+        if (this.audioScheduler.isPlaying()) return;
+
+        console.log(`Streamed reply #${stream.id} finished`);
+        this.stream = null;
+        this._endReply(stream.reply);
+        this.closeStreamSynthesizer(stream);
+
+        if (stream.started) {
+            this.handleSpeechEnd();
+        }
+        this.audioScheduler.stop();
+        stream.resolve();
+    }
+
+    /**
+     * Stop the streamed reply in progress (if any)
+     */
+    cancelStream() {
+        const stream = this.stream;
+        if (!stream) return;
+
+        stream.cancelled = true;
+        stream.pending = [];
+        stream.splitter.reset();
+        stream.abort.abort();
+        this.stream = null;
+        this._endReply(stream.reply, 'interrupted');
+        this.closeStreamSynthesizer(stream);
+
+        this.audioScheduler.stop();
+        if (this.isSpeaking) {
+            this.handleSpeechEnd();
+        }
+        stream.resolve();
+    }
+
+    /**
+     * Internal: Release a reply's synthesizer
+     */
+    closeStreamSynthesizer(stream) {
+        try { stream.synthesizer.close(); } catch (e) {}
+    }
+
+    /**
+     * Speak text with Viseme-based lip sync, cutting off anything playing
+     * In A2F mode, emits audioReady event for external processing
+     * iOS/Safari: Uses ArrayBuffer synthesis with manual audio element
+     * @param {string} text - May open with a style tag ("[cheerful] ...") when the speaking style is 'auto'
+     * @param {{voice?: string, rate?: number, style?: string, styleDegree?: number, pitch?: string, volume?: string, lang?: string, historyEntry?: Object}} [options]
+     *   Voice, rate, style, prosody and language (detected from the text if not given) override this utterance only
+     * @returns {Promise<string>} How playback ended: 'ended', 'interrupted', 'skipped', 'stopped' or 'failed'
+     */
+    async speak(text, options = {}) {
+        if (!this.speechConfig) {
+            console.error('Speech not configured');
+            return 'failed';
+        }
+
+        // Cut off whatever is playing - speak() never overlaps (enqueue() waits instead)
+        this.stopReply('interrupted');
+        this.stopSpeaking();
+        this.currentSynthesisId++;
+        this._resetReplyWords();
+        const tagged = this._parseStyle(text);
+        const reply = this.reply = this._createReply(this._stripCues(tagged.text), { entry: options.historyEntry || null });
+        this._setReplyStyle(reply, this._resolveStyle(options, tagged));
+        this._trackTimeline();
+        console.log(`Starting synthesis session #${this.currentSynthesisId}, visemeEnabled: ${this.visemeEnabled}, iOS mode: ${this.useIOSMode}`);
+
+        // Clear previous data
+        this.visemeQueue = [];
+        this.currentVisemeIndex = 0;
+        this.playbackStartTime = null;
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        const lang = options.lang ?? this._replyLanguage(tagged.text, null);
+        const ssml = this.buildSSML(tagged.text, { ...options, style: reply.style.style, styleDegree: reply.style.degree, lang });
+        this.utteranceRate = options.rate ?? this.config.voice.rate;
+
+        try {
+            // A reply stopped mid-synthesis may never hear back from the SDK
+            await Promise.race([this.synthesizeAndPlay(ssml), reply.done]);
+        } catch (error) {
+            this._endReply(reply, 'failed');
+            throw error;
+        }
+        return reply.done;
+    }
+
+    /**
+     * Internal: Pick the synthesis path for the platform and lip-sync mode
+     */
+    synthesizeAndPlay(ssml) {
+        // If visemes are disabled (A2F mode), synthesize to buffer and emit audioReady
+        if (!this.visemeEnabled) {
+            return this.speakWithAudioCapture(ssml);
+        }
+
+        // iOS/Safari mode - always use ArrayBuffer approach for reliability
+        if (this.useIOSMode) {
+            return this.speakIOSCompatible(ssml);
+        }
+
+        // Desktop mode - use SpeakerAudioDestination
+        this.createSynthesizer();
+
+        return new Promise((resolve, reject) => {
+            this.synthesizer.speakSsmlAsync(
+                ssml,
+                (result) => {
+                    if (result.reason === SpeechSDK.ResultReason.SynthesizingAudioCompleted) {
+                        console.log('Viseme synthesis completed successfully');
+                        resolve(result);
+                    } else {
+                        console.log('Viseme synthesis failed:', result.reason);
+                        reject(new Error('Speech synthesis failed'));
+                    }
+                },
+                (error) => {
+                    console.error('Viseme synthesis error:', error);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * iOS/Safari compatible speech synthesis
+     * Synthesizes to ArrayBuffer, creates manual audio element with playsinline
+     */
+    async speakIOSCompatible(ssml) {
+        console.log('[iOS TTS] Using iOS-compatible synthesis mode');
+
+        // Ensure AudioContext is unlocked
+        if (window.iOSAudioHelper && !window.iOSAudioHelper.unlocked) {
+            console.log('[iOS TTS] AudioContext not unlocked - attempting unlock');
+            await window.iOSAudioHelper.unlock();
+        }
+
+        // Create synthesizer without speaker output (null audio config)
+        if (this.synthesizer) {
+            try { this.synthesizer.close(); } catch (e) {}
+        }
+        this.synthesizer = new SpeechSDK.SpeechSynthesizer(this.speechConfig, null);
+        this.setupSynthesizerEvents();
 
         const sessionId = this.currentSynthesisId;
+        const reply = this.reply;
 
         return new Promise((resolve, reject) => {
             this.synthesizer.speakSsmlAsync(
@@ -535,6 +1382,7 @@ class AzureServicesViseme {
                 async (result) => {
                     if (sessionId !== this.currentSynthesisId) {
                         console.log('[iOS TTS] Session cancelled');
+                        resolve('cancelled');
                         return;
                     }
 
@@ -562,11 +1410,18 @@ class AzureServicesViseme {
                             });
 
                             // Setup playback handlers
+                            let started = false;
                             audioElement.onplay = () => {
+                                // play() after pause() - keep the clock
+                                if (started) return;
+                                started = true;
+
                                 console.log('[iOS TTS] Audio playback started');
-                                this.playbackStartTime = performance.now();
+                                window.AudioSync?.estimate();
+                                this.playbackStartTime = this.pausedAt ?? performance.now();
                                 this.currentVisemeIndex = 0;
                                 this.isSpeaking = true;
+                                this._cancelNeutralReset();
                                 this.emit('speaking', true);
                                 
                                 if (this.visemeEnabled) {
@@ -577,17 +1432,24 @@ class AzureServicesViseme {
                             audioElement.onended = () => {
                                 console.log('[iOS TTS] Audio playback ended');
                                 URL.revokeObjectURL(audioUrl);
+                                this._releaseAudioElement(audioElement);
+                                this._endReply(reply);
                                 this.handleSpeechEnd();
                             };
 
                             audioElement.onerror = (e) => {
                                 console.error('[iOS TTS] Audio playback error:', e);
                                 URL.revokeObjectURL(audioUrl);
+                                this._releaseAudioElement(audioElement);
+                                this._endReply(reply);
                                 this.handleSpeechEnd();
                             };
 
-                            // Play audio
-                            await audioElement.play();
+                            // Play audio (paused during synthesis: resume() plays it)
+                            this.audioElement = audioElement;
+                            if (!this._heldByPause()) {
+                                await audioElement.play();
+                            }
                             resolve(result);
 
                         } catch (playError) {
@@ -616,6 +1478,7 @@ class AzureServicesViseme {
 
         // Create synthesizer without audio output
         this.createAudioOnlySynthesizer();
+        const reply = this.reply;
 
         return new Promise((resolve, reject) => {
             this.synthesizer.speakSsmlAsync(
@@ -624,37 +1487,14 @@ class AzureServicesViseme {
                     if (result.reason === SpeechSDK.ResultReason.SynthesizingAudioCompleted) {
                         console.log('Audio synthesis completed, bytes:', result.audioData.byteLength);
 
-                        // Create audio blob from result
-                        const audioBlob = new Blob([result.audioData], { type: 'audio/wav' });
-                        const audioUrl = URL.createObjectURL(audioBlob);
-                        
-                        // Create audio element with iOS attributes
-                        const audioElement = new Audio();
-                        audioElement.src = audioUrl;
-                        audioElement.setAttribute('playsinline', '');
-                        audioElement.setAttribute('webkit-playsinline', '');
-
                         // Mark as speaking
                         this.isSpeaking = true;
+                        this._cancelNeutralReset();
                         this.emit('speaking', true);
 
-                        // Handle audio end
-                        audioElement.onended = () => {
-                            URL.revokeObjectURL(audioUrl);
-                            this.isSpeaking = false;
-                            this.emit('speaking', false);
-                        };
-
-                        // Emit audioReady event for A2F client to intercept
-                        this.emit('audioReady', {
-                            audioBlob: audioBlob,
-                            audioElement: audioElement,
-                            visemeQueue: this.visemeQueue  // Fallback data
-                        });
-
-                        // Start playing (A2F client will sync animation)
-                        audioElement.play().catch(err => {
-                            console.error('Audio playback error:', err);
+                        this.playCapturedAudio(result.audioData, this.visemeQueue).then(() => {
+                            // Not current any more: interrupt() already ended it
+                            if (!this._endReply(reply)) return;
                             this.isSpeaking = false;
                             this.emit('speaking', false);
                         });
@@ -673,31 +1513,688 @@ class AzureServicesViseme {
         });
     }
 
+    /**
+     * Play synthesized audio through an element and emit audioReady for A2F
+     * @returns {Promise<void>} Resolves when playback ends (or fails)
+     */
+    playCapturedAudio(audioData, visemeQueue) {
+        // Create audio blob from result
+        const audioBlob = new Blob([audioData], { type: 'audio/wav' });
+        const audioUrl = URL.createObjectURL(audioBlob);
+
+        // Create audio element with iOS attributes
+        const audioElement = new Audio();
+        audioElement.src = audioUrl;
+        audioElement.setAttribute('playsinline', '');
+        audioElement.setAttribute('webkit-playsinline', '');
+
+        this.audioElement = audioElement;
+
+        return new Promise((resolve) => {
+            // Handle audio end (a listener - the A2F client sets onended itself)
+            audioElement.addEventListener('ended', () => {
+                URL.revokeObjectURL(audioUrl);
+                this._releaseAudioElement(audioElement);
+                resolve();
+            });
+
+            // Emit audioReady event for A2F client to intercept
+            this.emit('audioReady', {
+                audioBlob: audioBlob,
+                audioElement: audioElement,
+                visemeQueue: visemeQueue,  // Fallback data (and viseme density for A2F)
+                rate: this.utteranceRate
+            });
+
+            // Paused during synthesis: resume() plays it
+            if (this._heldByPause()) return;
+
+            // Start playing (A2F client will sync animation)
+            audioElement.play().catch(err => {
+                console.error('Audio playback error:', err);
+                URL.revokeObjectURL(audioUrl);
+                this._releaseAudioElement(audioElement);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Cut the avatar off mid-reply (barge-in)
+     * Stops synthesis and playback, eases the face to neutral and keeps only
+     * the words that were actually played in the conversation history.
+     * @returns {string|null} The spoken part of the reply (null when nothing was being said)
+     */
+    interrupt() {
+        // Replies still being generated are dropped when they arrive
+        this.requestId++;
+        return this.stopReply('interrupted');
+    }
+
+    /**
+     * Internal: Stop the current reply, keeping what was spoken of it in the history
+     * @param {string} status - Passed to whoever awaits the reply
+     * @returns {string|null} The spoken part (null when nothing was being said)
+     */
+    stopReply(status) {
+        const reply = this.reply;
+        if (!reply) return null;
+
+        const spokenCount = this.countSpokenWords();
+        const spoken = this._truncateToWords(reply.text, spokenCount);
+        this._endReply(reply, status);
+
+        this.stopSpeaking();
+
+        if (reply.entry) {
+            const index = this.conversationHistory.indexOf(reply.entry);
+            if (index >= 0 && spoken) {
+                reply.entry.content = spoken;
+            } else if (index >= 0) {
+                this.conversationHistory.splice(index, 1);
+            }
+        } else if (spoken && reply.record) {
+            this.conversationHistory.push({ role: 'assistant', content: spoken });
+        }
+
+        console.log(`Reply ${status} after ${spokenCount}/${this.replyWords.length} words: "${spoken}"`);
+        this.emit('interrupted', { spoken, text: reply.text, status, fromChat: this._isChatReply(reply) });
+        return spoken;
+    }
+
+    /**
+     * Stop synthesis and playback now and ease the face to neutral
+     */
+    stopSpeaking() {
+        // Late visemes and synthesis results of the old session are ignored
+        this.currentSynthesisId++;
+        this.cancelStream();
+
+        if (this.synthesizer) {
+            try { this.synthesizer.close(); } catch (e) {}
+            this.synthesizer = null;
+        }
+        if (this.player) {
+            this.player.onAudioEnd = null;
+            try {
+                this.player.pause();
+                this.player.close();
+            } catch (e) {}
+            this.player = null;
+        }
+
+        // 'ended' lets the element's owners (iOS path, A2F client) wind down as usual
+        const audioElement = this.audioElement;
+        if (audioElement) {
+            this.audioElement = null;
+            audioElement.pause();
+            audioElement.dispatchEvent(new Event('ended'));
+        }
+
+        // Nothing left to hold - the next utterance plays unpaused unless the queue is paused
+        if (this.pausedAt !== null) {
+            this.pausedAt = null;
+            this.audioScheduler?.resume();
+        }
+
+        if (this.isSpeaking) {
+            this.handleSpeechEnd();
+        }
+    }
+
+    /**
+     * Queue text to be spoken after everything queued before it
+     * @param {string} text
+     * @param {{voice?: string, rate?: number, style?: string, styleDegree?: number, pitch?: string, volume?: string, lang?: string}} [options]
+     *   Per-utterance voice, rate, style, prosody and language (see speak)
+     * @returns {Promise<{id: number, status: string}>} Resolves when the utterance has ended, been skipped or stopped
+     */
+    enqueue(text, options = {}) {
+        const item = { id: ++this.utteranceId, text, options };
+        const done = new Promise(resolve => item.resolve = resolve);
+
+        this.queue.push(item);
+        this.emit('queued', { id: item.id, text, pending: this.queue.length });
+        this._playNext();
+
+        return done;
+    }
+
+    /**
+     * Internal: Start the next queued utterance when nothing else is playing
+     */
+    async _playNext() {
+        if (this.currentUtterance || this.reply || this.isPaused || !this.isConfigured) return;
+
+        const item = this.queue.shift();
+        if (!item) return;
+
+        this.currentUtterance = item;
+        this.emit('utteranceStart', { id: item.id, text: item.text, pending: this.queue.length });
+
+        let status;
+        try {
+            status = await this.speak(item.text, item.options);
+        } catch (error) {
+            console.error('Queued utterance failed:', error);
+            this.emit('error', { message: 'Speech synthesis failed: ' + error.message });
+            status = 'failed';
+        }
+
+        this.currentUtterance = null;
+        this.emit('utteranceEnd', { id: item.id, text: item.text, status });
+        item.resolve({ id: item.id, status });
+
+        if (this.queue.length === 0) {
+            this.emit('queueEmpty');
+        }
+        this._playNext();
+    }
+
+    /**
+     * Pause speech: audio, lip-sync timeline and the queue hold where they are
+     */
+    pause() {
+        if (this.isPaused) return false;
+        this.isPaused = true;
+
+        if (this.reply && this.pausedAt === null) {
+            this.pausedAt = performance.now();
+            this.audioScheduler?.pause();
+            try { this.player?.pause(); } catch (e) {}
+            this.audioElement?.pause();
+        }
+
+        console.log('Speech paused');
+        this.emit('paused');
+        return true;
+    }
+
+    /**
+     * Internal: Whether playback starting now must wait for resume()
+     * (paused while it was being synthesized; marks the pause so resume() starts it)
+     */
+    _heldByPause() {
+        if (!this.isPaused) return false;
+        if (this.pausedAt === null) {
+            this.pausedAt = performance.now();
+        }
+        return true;
+    }
+
+    /**
+     * Continue after pause()
+     */
+    resume() {
+        if (!this.isPaused) return false;
+        this.isPaused = false;
+
+        if (this.pausedAt !== null) {
+            // Wall-clock timelines skip the pause; the scheduler's clock simply stood still
+            if (this.playbackStartTime) {
+                this.playbackStartTime += performance.now() - this.pausedAt;
+            }
+            this.pausedAt = null;
+
+            this.audioScheduler?.resume();
+            try { this.player?.resume(); } catch (e) {}
+            this.audioElement?.play().catch(err => console.error('Resume playback error:', err));
+        }
+
+        console.log('Speech resumed');
+        this.emit('resumed');
+        this._playNext();
+        return true;
+    }
+
+    /**
+     * Skip the utterance (or reply) playing now; the queue moves on
+     * @returns {boolean} Whether anything was playing
+     */
+    skip() {
+        if (!this.reply) return false;
+        this.requestId++;
+        this.stopReply('skipped');
+        return true;
+    }
+
+    /**
+     * Stop speaking and drop everything queued
+     */
+    stopAll() {
+        const dropped = this.queue;
+        this.queue = [];
+        dropped.forEach(item => {
+            this.emit('utteranceEnd', { id: item.id, text: item.text, status: 'stopped' });
+            item.resolve({ id: item.id, status: 'stopped' });
+        });
+
+        this.requestId++;
+        this.stopReply('stopped');
+        this.stopSpeaking();
+
+        if (this.isPaused) {
+            this.isPaused = false;
+            this.emit('resumed');
+        }
+        if (dropped.length > 0 && !this.currentUtterance) {
+            this.emit('queueEmpty');
+        }
+    }
+
+    /**
+     * Playback position of the current reply on its lip-sync clock (ms, frozen while paused)
+     */
+    getPlaybackMs() {
+        if (this.useSchedulerClock) {
+            return this.audioScheduler.getElapsedMs();   // Context time stands still while suspended
+        }
+        if (!this.playbackStartTime) return 0;
+        return (this.pausedAt ?? performance.now()) - this.playbackStartTime;
+    }
+
+    /**
+     * Number of reply words played so far (by the current playback clock)
+     */
+    countSpokenWords() {
+        return this._countReached(this.replyWords, this.wordClockStart);
+    }
+
+    /**
+     * Internal: How many timeline entries ({ offsetMs }) the playback clock has passed
+     * @param {Array<{offsetMs: number}>} list - Reply words or cues
+     * @param {number} clockStart - First entry timed on the current clock (earlier ones have played)
+     */
+    _countReached(list, clockStart) {
+        const syncOffset = window.AudioSync ? window.AudioSync.getOffsetMs() : 0;
+
+        let playbackMs;
+        if (this.audioElement && !this.useSchedulerClock) {
+            playbackMs = this.audioElement.currentTime * 1000;
+        } else if (this.useSchedulerClock || this.playbackStartTime) {
+            playbackMs = this.getPlaybackMs();
+        } else {
+            return clockStart;   // Current clock hasn't started
+        }
+
+        let count = clockStart;
+        for (let i = clockStart; i < list.length; i++) {
+            if (list[i].offsetMs > playbackMs - syncOffset) break;
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Internal: Word from a wordBoundary event (null for punctuation)
+     */
+    _toWord(e) {
+        const types = SpeechSDK.SpeechSynthesisBoundaryType;
+        if (types && e.boundaryType !== undefined && e.boundaryType !== types.Word) return null;
+        return { text: e.text, offsetMs: e.audioOffset / 10000 };
+    }
+
+    /**
+     * Internal: Reply text up to the end of its nth word (keeps attached punctuation)
+     */
+    _truncateToWords(text, count) {
+        let end = 0;
+        for (const word of this.replyWords.slice(0, count)) {
+            const index = text.indexOf(word.text, end);
+            if (index >= 0) {
+                end = index + word.text.length;
+            }
+        }
+        if (end === 0) return '';
+
+        const punctuation = text.slice(end).match(/^[.,;:!?…"'”’)\]]*/)[0];
+        return text.slice(0, end + punctuation.length).trim();
+    }
+
+    /**
+     * Internal: Forget word and cue timings (new reply)
+     */
+    _resetReplyWords() {
+        this.replyWords = [];
+        this.wordClockStart = 0;
+        this.audioElement = null;
+        this.wordsEmitted = 0;
+        this.wordCursor = 0;
+        this.replyCues = [];
+        this.cueClockStart = 0;
+        this.cuesFired = 0;
+    }
+
+    /**
+     * Internal: Emit 'word' and 'cue' events as the playback clock passes them
+     * Runs while a reply is current, whichever path plays it.
+     */
+    _trackTimeline() {
+        if (this.wordFrameId) return;
+
+        const tick = () => {
+            this.wordFrameId = null;
+            const reply = this.reply;
+            if (!reply) return;
+
+            const spoken = Math.min(this.countSpokenWords(), this.replyWords.length);
+            while (this.wordsEmitted < spoken) {
+                this._emitWord(reply, this.wordsEmitted++);
+            }
+
+            const reached = Math.min(this._countReached(this.replyCues, this.cueClockStart), this.replyCues.length);
+            while (this.cuesFired < reached) {
+                const cue = this.replyCues[this.cuesFired++];
+                console.log(`Cue <${cue.name}/> at ${cue.offsetMs.toFixed(0)}ms`);
+                this.emit('cue', cue);
+            }
+
+            this.wordFrameId = requestAnimationFrame(tick);
+        };
+
+        this.wordFrameId = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Internal: Locate a word in the reply text and announce it
+     */
+    _emitWord(reply, index) {
+        const word = this.replyWords[index];
+        const found = reply.text.indexOf(word.text, this.wordCursor);
+
+        // Spoken form differs from the text (rare): an empty range at the cursor
+        const start = found >= 0 ? found : this.wordCursor;
+        const end = found >= 0 ? found + word.text.length : this.wordCursor;
+        this.wordCursor = end;
+
+        this.emit('word', {
+            index,
+            text: word.text,
+            start,
+            end,
+            offsetMs: word.offsetMs,
+            replyText: reply.text,
+            fromChat: this._isChatReply(reply)
+        });
+    }
+
+    /**
+     * Internal: Reply text without speech cue tags
+     * @param {boolean} [streaming=false] - Text may end in an unfinished tag
+     */
+    _stripCues(text, streaming = false) {
+        return window.SpeechCues ? window.SpeechCues.strip(text, streaming) : text;
+    }
+
+    /**
+     * Internal: Whether a reply answers a chat message (vs. speak() / the queue)
+     */
+    _isChatReply(reply) {
+        return reply.record || !!reply.entry;
+    }
+
+    /**
+     * Internal: Drop the element reference once it has finished
+     */
+    _releaseAudioElement(audioElement) {
+        if (this.audioElement === audioElement) {
+            this.audioElement = null;
+        }
+    }
+
+    /**
+     * Internal: New reply record
+     * @param {string} text - Reply text (grows while a streamed reply arrives)
+     * @param {{entry?: Object, record?: boolean}} [options] - History message it belongs to;
+     *   record = add what was spoken to the history if interrupted before it has one
+     */
+    _createReply(text, { entry = null, record = false } = {}) {
+        const reply = { text, raw: text, entry, record, status: null, style: undefined, lang: null };
+        reply.done = new Promise(resolve => reply.resolve = resolve);
+
+        // Queued utterances wait for replies to finish
+        reply.done.then(() => this._playNext());
+        return reply;
+    }
+
+    /**
+     * Internal: Mark a reply as finished if it is still the current one
+     * @param {string} [status='ended'] - Resolves reply.done
+     * @returns {boolean} Whether it was current
+     */
+    _endReply(reply, status = 'ended') {
+        if (!reply || this.reply !== reply) return false;
+        this.reply = null;
+        reply.status = status;
+        reply.resolve(status);
+        this.emit('wordsEnd', { status });
+        if (reply.style?.style) {
+            this.emit('style', { style: null, degree: 1 });
+        }
+        return true;
+    }
+
+    /**
+     * Set the speaking style for replies
+     * @param {{style?: string, degree?: number, pitch?: string, volume?: string}} settings
+     *   style: 'auto' (the LLM tags each reply), '' (none) or an Azure style name;
+     *   pitch / volume: SSML prosody values such as '+5%', '-2st', 'high', 'soft' ('' = voice default)
+     */
+    setSpeakingStyle(settings) {
+        Object.assign(this.speakingStyle, settings);
+        if (window.SpeakingStyles) {
+            this.speakingStyle.degree = window.SpeakingStyles.clampDegree(this.speakingStyle.degree);
+        }
+        console.log('Speaking style:', this.speakingStyle);
+    }
+
+    /**
+     * Internal: Style of a reply - the utterance's own, the LLM's tag ('auto') or the fixed setting
+     * @param {{style?: string, styleDegree?: number}} options - Per-utterance override
+     * @param {{style: string|null, degree: number|null}} tagged - From _parseStyle
+     * @returns {{style: string|null, degree: number}}
+     */
+    _resolveStyle(options, tagged) {
+        const settings = this.speakingStyle;
+        if (options.style !== undefined) {
+            return { style: options.style || null, degree: options.styleDegree ?? settings.degree };
+        }
+        if (settings.style === 'auto') {
+            return { style: tagged.style, degree: tagged.degree ?? settings.degree };
+        }
+        return { style: settings.style || null, degree: settings.degree };
+    }
+
+    /**
+     * Internal: Fix a reply's style and announce it (the face follows)
+     */
+    _setReplyStyle(reply, style) {
+        reply.style = style;
+        if (style.style) {
+            console.log(`Reply style: ${style.style} (${style.degree})`);
+            this.emit('style', { ...style });
+        }
+    }
+
+    /**
+     * Internal: Leading style tag of a reply
+     * @param {boolean} [streaming=false] - Text may end inside the tag
+     */
+    _parseStyle(text, streaming = false) {
+        return window.SpeakingStyles
+            ? window.SpeakingStyles.parse(text, streaming)
+            : { style: null, degree: null, text, tagged: false, pending: false };
+    }
+
+    /**
+     * Internal: Reply text as shown and kept in history - no style or cue tags
+     * @param {boolean} [streaming=false] - Text may end in an unfinished tag
+     */
+    _replyText(raw, streaming = false) {
+        return this._stripCues(this._parseStyle(raw, streaming).text, streaming);
+    }
+
+    /**
+     * Text of the reply being spoken or streamed, without style and cue tags ('' if none)
+     */
+    getReplyText() {
+        return this.reply ? this.reply.text : '';
+    }
+
+    /**
+     * Enable/disable barge-in (recognition keeps running while the avatar speaks)
+     */
+    setBargeInEnabled(enabled) {
+        this.bargeInEnabled = enabled;
+        console.log('Barge-in:', enabled ? 'enabled' : 'disabled');
+    }
+
+    /**
+     * Enable/disable the speech cue list in the system prompt
+     * Cue tags in spoken text work either way.
+     */
+    setCuesInPrompt(enabled) {
+        this.cuesInPrompt = enabled;
+        console.log('Speech cues in prompt:', enabled ? 'enabled' : 'disabled');
+    }
+
     /**
      * Build SSML with Viseme ID output
      */
-    buildSSML(text) {
-        const { name, rate } = this.config.voice;
+    buildSSML(text, options = {}) {
+        const lang = options.lang || null;
+        const name = options.voice || this.voiceForLanguage(lang);
+        const voiceLocale = window.LanguageVoices ? window.LanguageVoices.localeOfVoice(name) : null;
+        const rate = options.rate ?? this.config.voice.rate;
+        const pitch = options.pitch ?? this.speakingStyle.pitch;
+        const volume = options.volume ?? this.speakingStyle.volume;
 
         const relativePercent = Math.round((rate - 1.0) * 100);
         const rateString = relativePercent >= 0 ? `+${relativePercent}%` : `${relativePercent}%`;
 
-        const escaped = text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;');
+        let prosody = `rate="${rateString}"`;
+        if (pitch) prosody += ` pitch="${this._attribute(pitch)}"`;
+        if (volume) prosody += ` volume="${this._attribute(volume)}"`;
+
+        // Speech cues become <bookmark> elements
+        const escaped = window.SpeechCues
+            ? window.SpeechCues.toSSML(text)
+            : text
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+
+        // Speaking style around the prosody (degree only when it isn't the default)
+        let body = `<prosody ${prosody}>${escaped}</prosody>`;
+        if (options.style) {
+            const degree = options.styleDegree ?? 1;
+            const degreeAttr = degree !== 1 ? ` styledegree="${degree}"` : '';
+            body = `<mstts:express-as style="${this._attribute(options.style)}"${degreeAttr}>${body}</mstts:express-as>`;
+        }
 
-        console.log(`Building SSML: voice=${name}, rate=${rateString}`);
+        // A multilingual voice speaking another language switches accent with <lang>
+        if (lang && voiceLocale && lang !== voiceLocale && window.LanguageVoices.isMultilingual(name)) {
+            body = `<lang xml:lang="${this._attribute(lang)}">${body}</lang>`;
+        }
+        const docLang = this._attribute(lang || voiceLocale || 'en-US');
+
+        console.log(`Building SSML: voice=${name}, lang=${docLang}, rate=${rateString}` +
+            (options.style ? `, style=${options.style}` : '') + (pitch ? `, pitch=${pitch}` : '') + (volume ? `, volume=${volume}` : ''));
 
         return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis"
-                xmlns:mstts="http://www.w3.org/2001/mstts" xml:lang="en-US">
+                xmlns:mstts="http://www.w3.org/2001/mstts" xml:lang="${docLang}">
             <voice name="${name}">
                 <mstts:viseme type="redlips_front"/>
-                <prosody rate="${rateString}">${escaped}</prosody>
+                ${body}
             </voice>
         </speak>`;
     }
 
+    /**
+     * Voice for a reply language
+     * A multilingual selected voice speaks every language (buildSSML adds <lang>);
+     * otherwise the selected voice keeps its own language and others get their
+     * voice from the language map, or the selected voice when there is none.
+     * @param {string|null} lang - Locale, null = the selected voice
+     */
+    voiceForLanguage(lang) {
+        const selected = this.config.voice.name;
+        const voices = window.LanguageVoices;
+        if (!lang || !voices) return selected;
+
+        const base = voices.baseOf(lang);
+        if (voices.isMultilingual(selected)) return selected;
+        if (voices.baseOf(voices.localeOfVoice(selected)) === base) return selected;
+
+        const map = { ...voices.voices, ...this.languageVoices };
+        if (map[lang]) return map[lang];
+        const sameBase = Object.keys(map).find(locale => voices.baseOf(locale) === base);
+        return sameBase ? map[sameBase] : selected;
+    }
+
+    /**
+     * Set the recognizer languages (several = auto-detect, up to 10)
+     * Recreates the recognizer if connected, resuming listening if it was on.
+     * @param {string[]} languages - Locales, e.g. ['en-US', 'es-ES']
+     */
+    async setLanguages(languages) {
+        this.languages = [...languages];
+        if (this.languages.length === 1) {
+            this.userLanguage = this.languages[0];
+        }
+        console.log('Languages:', this.languages.join(', '));
+        if (!this.speechConfig) return;
+
+        const wasListening = this.isListening;
+        if (wasListening) await this.stopListening();
+        try { this.recognizer.close(); } catch (e) {}
+
+        // The old session is over even if its sessionStopped hasn't arrived
+        this.isListening = false;
+        this.recognizer = this.createRecognizer();
+        this.setupRecognizerEvents();
+        if (wasListening && !(await this.startListening())) {
+            this.emit('listening', false);
+        }
+    }
+
+    /**
+     * Override the default voice of some languages
+     * @param {Object<string, string>} voices - locale -> Azure voice name
+     */
+    setLanguageVoices(voices) {
+        Object.assign(this.languageVoices, voices);
+        console.log('Language voices:', this.languageVoices);
+    }
+
+    /**
+     * Internal: Locale of a user message - as recognized, else detected from the text, else unchanged
+     */
+    _messageLanguage(text, language) {
+        if (language) return language;
+        return this._replyLanguage(text, this.userLanguage);
+    }
+
+    /**
+     * Internal: Locale a text is written in
+     * @param {string|null} fallback - Used when the text doesn't tell; preferred among locales of the same language
+     */
+    _replyLanguage(text, fallback) {
+        const voices = window.LanguageVoices;
+        const base = voices ? voices.detect(text) : null;
+        if (!base) return fallback;
+        if (fallback && voices.baseOf(fallback) === base) return fallback;
+
+        return this.languages.find(locale => voices.baseOf(locale) === base) || voices.defaultLocale(base) || fallback;
+    }
+
+    /**
+     * Internal: Value safe inside a double-quoted SSML attribute
+     */
+    _attribute(value) {
+        return String(value).replace(/[&<>"]/g, '');
+    }
+
     /**
      * Update voice settings
      */
@@ -710,6 +2207,15 @@ class AzureServicesViseme {
         }
     }
 
+    /**
+     * Stream replies sentence by sentence (false = wait for the full reply)
+     * A2F mode always waits for the full reply.
+     */
+    setStreamingEnabled(enabled) {
+        this.streamingEnabled = enabled;
+        console.log('Streamed replies:', enabled ? 'enabled' : 'disabled');
+    }
+
     /**
      * Set viseme intensity (mouth expressiveness)
      */
@@ -734,7 +2240,13 @@ class AzureServicesViseme {
             currentViseme: this.currentVisemeIndex,
             isSpeaking: this.isSpeaking,
             isListening: this.isListening,
-            visemeEnabled: this.visemeEnabled
+            bargeInEnabled: this.bargeInEnabled,
+            visemeEnabled: this.visemeEnabled,
+            articulationScale: this.articulationScale,
+            streaming: this.stream ? {
+                pendingSentences: this.stream.pending.length,
+                scheduledMs: Math.round(this.audioScheduler.getDurationMs())
+            } : null
         };
     }
 }
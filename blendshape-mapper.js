@@ -4,74 +4,265 @@
  * 
  * Azure outputs 55 facial positions per frame at 60fps in ARKit format.
  * The Avaturn T2 model has these blendshapes distributed across multiple meshes.
+ *
+ * One instance per avatar - AvatarRenderer creates it and hands it to the
+ * 3D BlendShape and Audio2Face paths.
+ *
+ * Non-ARKit naming (Character Creator, VRoid, DAZ) is resolved through
+ * retargeting.js; channels no mesh could resolve are listed in
+ * unresolvedChannels.
+ *
+ * Calibration profiles reshape each ARKit channel per avatar before it
+ * reaches the mesh: value = clamp(min, max, gain * value^exponent + offset).
+ *
+ * initialize() compiles each mesh's mapping into flat Int32Array
+ * source -> target index tables; a frame is scaled and calibrated once into
+ * a typed scratch buffer, then copied to every mesh in a tight loop.
+ *
+ * With the avatar's MorphCompositor attached, frames are written to its
+ * lipsync layer rather than the meshes (see morph-compositor.js).
+ *
+ * Rigs without a jawOpen morph get the jawOpen channel on their jaw bone
+ * through the avatar's JawBoneDriver (jaw-bone.js). headRoll / eye roll
+ * (52-54) and, on rigs without eye-look morphs, eyeLook* rotate the head
+ * and eye bones through HeadEyeBoneDriver (head-eye-bones.js).
  */
 
-const BlendShapeMapper = {
-    // Azure's 55 BlendShape indices in order (ARKit standard)
-    // Reference: https://learn.microsoft.com/en-us/azure/ai-services/speech-service/how-to-speech-synthesis-viseme
-    AZURE_BLENDSHAPES: [
-        'eyeBlinkLeft',           // 0
-        'eyeLookDownLeft',        // 1
-        'eyeLookInLeft',          // 2
-        'eyeLookOutLeft',         // 3
-        'eyeLookUpLeft',          // 4
-        'eyeSquintLeft',          // 5
-        'eyeWideLeft',            // 6
-        'eyeBlinkRight',          // 7
-        'eyeLookDownRight',       // 8
-        'eyeLookInRight',         // 9
-        'eyeLookOutRight',        // 10
-        'eyeLookUpRight',         // 11
-        'eyeSquintRight',         // 12
-        'eyeWideRight',           // 13
-        'jawForward',             // 14
-        'jawLeft',                // 15
-        'jawRight',               // 16
-        'jawOpen',                // 17
-        'mouthClose',             // 18
-        'mouthFunnel',            // 19
-        'mouthPucker',            // 20
-        'mouthLeft',              // 21
-        'mouthRight',             // 22
-        'mouthSmileLeft',         // 23
-        'mouthSmileRight',        // 24
-        'mouthFrownLeft',         // 25
-        'mouthFrownRight',        // 26
-        'mouthDimpleLeft',        // 27
-        'mouthDimpleRight',       // 28
-        'mouthStretchLeft',       // 29
-        'mouthStretchRight',      // 30
-        'mouthRollLower',         // 31
-        'mouthRollUpper',         // 32
-        'mouthShrugLower',        // 33
-        'mouthShrugUpper',        // 34
-        'mouthPressLeft',         // 35
-        'mouthPressRight',        // 36
-        'mouthLowerDownLeft',     // 37
-        'mouthLowerDownRight',    // 38
-        'mouthUpperUpLeft',       // 39
-        'mouthUpperUpRight',      // 40
-        'browDownLeft',           // 41
-        'browDownRight',          // 42
-        'browInnerUp',            // 43
-        'browOuterUpLeft',        // 44
-        'browOuterUpRight',       // 45
-        'cheekPuff',              // 46
-        'cheekSquintLeft',        // 47
-        'cheekSquintRight',       // 48
-        'noseSneerLeft',          // 49
-        'noseSneerRight',         // 50
-        'tongueOut',              // 51
-        'headRoll',               // 52 - Not typically a blendshape, handled by bone
-        'leftEyeRoll',            // 53 - Not typically a blendshape, handled by bone
-        'rightEyeRoll'            // 54 - Not typically a blendshape, handled by bone
-    ],
-
-    // Indices that are actually blendshapes (not bone rotations)
-    VALID_BLENDSHAPE_INDICES: Array.from({length: 52}, (_, i) => i), // 0-51
-
-    // Cache for mesh morph target mappings
-    meshMappings: new Map(),
+class BlendShapeMapper {
+    constructor() {
+        // Azure's 55 BlendShape indices in order (ARKit standard)
+        // Reference: https://learn.microsoft.com/en-us/azure/ai-services/speech-service/how-to-speech-synthesis-viseme
+        this.AZURE_BLENDSHAPES = [
+            'eyeBlinkLeft',           // 0
+            'eyeLookDownLeft',        // 1
+            'eyeLookInLeft',          // 2
+            'eyeLookOutLeft',         // 3
+            'eyeLookUpLeft',          // 4
+            'eyeSquintLeft',          // 5
+            'eyeWideLeft',            // 6
+            'eyeBlinkRight',          // 7
+            'eyeLookDownRight',       // 8
+            'eyeLookInRight',         // 9
+            'eyeLookOutRight',        // 10
+            'eyeLookUpRight',         // 11
+            'eyeSquintRight',         // 12
+            'eyeWideRight',           // 13
+            'jawForward',             // 14
+            'jawLeft',                // 15
+            'jawRight',               // 16
+            'jawOpen',                // 17
+            'mouthClose',             // 18
+            'mouthFunnel',            // 19
+            'mouthPucker',            // 20
+            'mouthLeft',              // 21
+            'mouthRight',             // 22
+            'mouthSmileLeft',         // 23
+            'mouthSmileRight',        // 24
+            'mouthFrownLeft',         // 25
+            'mouthFrownRight',        // 26
+            'mouthDimpleLeft',        // 27
+            'mouthDimpleRight',       // 28
+            'mouthStretchLeft',       // 29
+            'mouthStretchRight',      // 30
+            'mouthRollLower',         // 31
+            'mouthRollUpper',         // 32
+            'mouthShrugLower',        // 33
+            'mouthShrugUpper',        // 34
+            'mouthPressLeft',         // 35
+            'mouthPressRight',        // 36
+            'mouthLowerDownLeft',     // 37
+            'mouthLowerDownRight',    // 38
+            'mouthUpperUpLeft',       // 39
+            'mouthUpperUpRight',      // 40
+            'browDownLeft',           // 41
+            'browDownRight',          // 42
+            'browInnerUp',            // 43
+            'browOuterUpLeft',        // 44
+            'browOuterUpRight',       // 45
+            'cheekPuff',              // 46
+            'cheekSquintLeft',        // 47
+            'cheekSquintRight',       // 48
+            'noseSneerLeft',          // 49
+            'noseSneerRight',         // 50
+            'tongueOut',              // 51
+            'headRoll',               // 52 - Bone rotation (HeadEyeBoneDriver)
+            'leftEyeRoll',            // 53 - Bone rotation (HeadEyeBoneDriver)
+            'rightEyeRoll'            // 54 - Bone rotation (HeadEyeBoneDriver)
+        ];
+
+        // Indices that rotate bones instead of morph targets (not clamped to 0-1)
+        this.BONE_CHANNEL_INDICES = [52, 53, 54];
+        this.isBoneChannel = new Uint8Array(55);
+        this.BONE_CHANNEL_INDICES.forEach(idx => this.isBoneChannel[idx] = 1);
+
+        // Indices that are actually blendshapes (not bone rotations)
+        this.VALID_BLENDSHAPE_INDICES = Array.from({length: 52}, (_, i) => i); // 0-51
+
+        // Compiled mesh mappings: mesh -> { sources: Int32Array (Azure index), targets: Int32Array (morph index), influences }
+        this.meshMappings = new Map();
+
+        // Per-frame scratch (Float64Array so values match plain-number math exactly)
+        this.scaledValues = new Float64Array(55);     // After intensity and clamping - feeds the bone drivers
+        this.outputValues = new Float64Array(55);     // After calibration - written to the meshes
+
+        // ARKit channels (0-51) that no mesh could resolve
+        this.unresolvedChannels = [];
+
+        // Per-channel output calibration (missing channels pass through unchanged)
+        this.CALIBRATION_DEFAULTS = { gain: 1, offset: 0, exponent: 1, min: 0, max: 1 };
+        this.calibration = null;                          // { name, channels: { arkitName: {...} } }
+        this.calibrationByIndex = new Array(55).fill(null);
+
+        // Smoothed values per Azure index and time-based spring state (smoothing.js loads first)
+        this.currentValues = new Float64Array(55);
+        this.springs = new SpringBank();
+        this.clock = new FrameClock();
+
+        // Avatar's bone drivers (set by AvatarRenderer, null = morphs only)
+        this.jawBone = null;
+        this.headEyeBones = null;
+        this.JAW_OPEN_INDEX = this.AZURE_BLENDSHAPES.indexOf('jawOpen');
+
+        // Avatar's MorphCompositor (set by AvatarRenderer, null = write meshes directly)
+        this.compositor = null;
+        this.LAYER = 'lipsync';
+    }
+
+    /**
+     * Attach the avatar's jaw bone driver
+     */
+    setJawBone(driver) {
+        this.jawBone = driver;
+    }
+
+    /**
+     * Attach the avatar's head and eye bone driver
+     */
+    setHeadEyeBones(driver) {
+        this.headEyeBones = driver;
+    }
+
+    /**
+     * Attach the avatar's morph compositor (takes effect on the next initialize)
+     */
+    setCompositor(compositor) {
+        this.compositor = compositor;
+    }
+
+    /**
+     * Reshape one channel value with its calibration
+     * @param {number} idx - Azure blendshape index
+     * @param {number} value - Value after intensity (0-1)
+     */
+    calibrate(idx, value) {
+        const c = this.calibrationByIndex[idx];
+        if (!c) return value;
+
+        const shaped = c.gain * Math.pow(Math.max(0, value), c.exponent) + c.offset;
+        return Math.max(c.min, Math.min(c.max, shaped));
+    }
+
+    /**
+     * Activate a calibration profile
+     * @param {Object} profile - { name, channels: { jawOpen: { gain, offset, exponent, min, max } } }
+     */
+    setCalibration(profile) {
+        if (!profile || typeof profile.channels !== 'object') {
+            throw new Error('Calibration profile must have a "channels" object');
+        }
+
+        this.calibration = { name: profile.name || 'Custom', channels: {} };
+        this.calibrationByIndex.fill(null);
+
+        for (const [name, values] of Object.entries(profile.channels)) {
+            if (!this.setChannelCalibration(name, values)) {
+                console.warn(`BlendShapeMapper: Ignoring calibration for unknown channel "${name}"`);
+            }
+        }
+
+        console.log(`BlendShapeMapper: Calibration "${this.calibration.name}" active (${Object.keys(this.calibration.channels).length} channels)`);
+    }
+
+    /**
+     * Set (or with null, clear) one channel's calibration
+     * @returns {boolean} Whether the channel is a calibratable ARKit channel
+     */
+    setChannelCalibration(name, values) {
+        const idx = this.AZURE_BLENDSHAPES.indexOf(name);
+        if (!this.VALID_BLENDSHAPE_INDICES.includes(idx)) return false;
+
+        if (!this.calibration) {
+            this.calibration = { name: 'Custom', channels: {} };
+        }
+
+        if (!values) {
+            delete this.calibration.channels[name];
+            this.calibrationByIndex[idx] = null;
+            return true;
+        }
+
+        const c = { ...this.CALIBRATION_DEFAULTS };
+        for (const key of Object.keys(c)) {
+            if (typeof values[key] === 'number' && isFinite(values[key])) {
+                c[key] = values[key];
+            }
+        }
+        c.exponent = Math.max(0.05, c.exponent);
+
+        this.calibration.channels[name] = c;
+        this.calibrationByIndex[idx] = c;
+        return true;
+    }
+
+    /**
+     * Get a channel's calibration (defaults if uncalibrated)
+     */
+    getChannelCalibration(name) {
+        return { ...this.CALIBRATION_DEFAULTS, ...(this.calibration?.channels[name] || {}) };
+    }
+
+    /**
+     * Load a calibration profile from a JSON URL
+     */
+    async loadCalibration(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load calibration ${url}: HTTP ${response.status}`);
+        }
+        this.setCalibration(await response.json());
+        return this.calibration;
+    }
+
+    /**
+     * Remove all calibration
+     */
+    clearCalibration() {
+        this.calibration = null;
+        this.calibrationByIndex.fill(null);
+        console.log('BlendShapeMapper: Calibration cleared');
+    }
+
+    /**
+     * Export the active calibration as a JSON-ready profile
+     */
+    getCalibrationProfile() {
+        return {
+            name: this.calibration?.name || 'Custom',
+            channels: { ...(this.calibration?.channels || {}) }
+        };
+    }
+
+    /**
+     * Internal: Feed bone drivers from a full 55-value frame
+     */
+    _driveBones(values) {
+        if (this.jawBone) {
+            this.jawBone.apply(this.calibrate(this.JAW_OPEN_INDEX, values[this.JAW_OPEN_INDEX]));
+        }
+        if (this.headEyeBones) {
+            this.headEyeBones.apply(values, this.AZURE_BLENDSHAPES);
+        }
+    }
 
     /**
      * Initialize mapper with a loaded GLTF model
@@ -79,32 +270,50 @@ const BlendShapeMapper = {
      */
     initialize(gltfScene) {
         this.meshMappings.clear();
+
+        const channels = this.VALID_BLENDSHAPE_INDICES.map(i => this.AZURE_BLENDSHAPES[i]);
+        const resolved = new Set();
         
         gltfScene.traverse((node) => {
             if (node.isMesh && node.morphTargetDictionary) {
-                const mapping = {};
-                const dictionary = node.morphTargetDictionary;
+                const { indices, sources } = window.Retargeting.resolve(node.morphTargetDictionary, channels);
+                const pairs = [];
+                const claimed = new Set();
                 
-                // For each Azure blendshape, find the corresponding index in this mesh
-                this.AZURE_BLENDSHAPES.forEach((shapeName, azureIndex) => {
-                    if (dictionary.hasOwnProperty(shapeName)) {
-                        mapping[azureIndex] = dictionary[shapeName];
-                    }
+                // For each Azure blendshape, add the mesh targets it resolved to
+                // (a target claimed by an earlier channel stays with it)
+                channels.forEach((shapeName, azureIndex) => {
+                    (indices[shapeName] || []).forEach(meshIndex => {
+                        if (claimed.has(meshIndex)) return;
+                        claimed.add(meshIndex);
+                        pairs.push([azureIndex, meshIndex]);
+                        resolved.add(shapeName);
+                    });
                 });
                 
-                if (Object.keys(mapping).length > 0) {
+                if (pairs.length > 0) {
                     this.meshMappings.set(node, {
-                        mapping: mapping,
-                        influences: node.morphTargetInfluences
+                        sources: Int32Array.from(pairs, ([azureIndex]) => azureIndex),
+                        targets: Int32Array.from(pairs, ([, meshIndex]) => meshIndex),
+                        influences: this.compositor ? this.compositor.getLayerValues(this.LAYER, node) : node.morphTargetInfluences
                     });
-                    console.log(`Mapped ${Object.keys(mapping).length} blendshapes for mesh: ${node.name}`);
+
+                    const retargeted = Object.values(sources).filter(source => source !== 'exact').length;
+                    console.log(`Mapped ${pairs.length} blendshapes for mesh: ${node.name}` +
+                        (retargeted > 0 ? ` (${retargeted} channels retargeted)` : ''));
                 }
             }
         });
+
+        this.unresolvedChannels = channels.filter(name => !resolved.has(name));
+        if (this.meshMappings.size > 0 && this.unresolvedChannels.length > 0) {
+            console.warn(`BlendShapeMapper: ${this.unresolvedChannels.length} ARKit channels unresolved:`,
+                this.unresolvedChannels.join(', '));
+        }
         
         console.log(`BlendShapeMapper initialized with ${this.meshMappings.size} meshes`);
         return this.meshMappings.size > 0;
-    },
+    }
 
     /**
      * Apply a frame of Azure blendshape values to the model
@@ -117,33 +326,90 @@ const BlendShapeMapper = {
             return;
         }
 
-        this.meshMappings.forEach((meshData, mesh) => {
-            const { mapping, influences } = meshData;
-            
-            for (const [azureIndex, meshIndex] of Object.entries(mapping)) {
-                const idx = parseInt(azureIndex);
-                if (idx < values.length) {
-                    // Azure can output negative values - clamp to 0-1 range
-                    // Apply intensity multiplier
-                    let value = values[idx] * intensity;
-                    value = Math.max(0, Math.min(1, value));
-                    influences[meshIndex] = value;
-                }
+        const scaled = this.scaledValues;
+        const output = this.outputValues;
+
+        for (let idx = 0; idx < 55; idx++) {
+            // Apply intensity; Azure can output negative values - clamp blendshapes to 0-1
+            const value = (values[idx] || 0) * intensity;
+            if (this.isBoneChannel[idx]) {
+                scaled[idx] = value;
+            } else {
+                scaled[idx] = value < 0 ? 0 : value > 1 ? 1 : value;
+                output[idx] = this.calibrate(idx, scaled[idx]);
+            }
+        }
+
+        this._writeOutput();
+        this._driveBones(scaled);
+    }
+
+    /**
+     * Internal: Copy outputValues to every mesh through the compiled tables
+     */
+    _writeOutput() {
+        const output = this.outputValues;
+
+        this.meshMappings.forEach((meshData) => {
+            const { sources, targets, influences } = meshData;
+            for (let i = 0; i < sources.length; i++) {
+                influences[targets[i]] = output[sources[i]];
             }
         });
-    },
+    }
+
+    /**
+     * Spring from current values toward a frame by real elapsed time
+     * Call every render frame with the latest reached frame so motion is
+     * identical at 60Hz and 120Hz.
+     * @param {number[]} targetValues - Target blendshape values
+     * @param {number} [intensity=1.0] - Overall intensity multiplier
+     * @param {number} [responseMs] - Approximate settle time (defaults to Smoothing.settings.responseMs)
+     */
+    springToFrame(targetValues, intensity = 1.0, responseMs = Smoothing.settings.responseMs) {
+        if (!targetValues || targetValues.length < 52) return;
+
+        const dt = this.clock.tick();
+        const current = this.currentValues;
+
+        for (let idx = 0; idx < 55; idx++) {
+            if (this.isBoneChannel[idx]) {
+                // Bone channels keep their sign
+                const target = (targetValues[idx] || 0) * intensity;
+                current[idx] = this.springs.step(idx, current[idx], target, dt, responseMs);
+            } else {
+                const target = Math.max(0, Math.min(1, targetValues[idx] * intensity));
+                const value = this.springs.step(idx, current[idx], target, dt, responseMs);
+                current[idx] = Math.max(0, Math.min(1, value));
+                this.outputValues[idx] = this.calibrate(idx, current[idx]);
+            }
+        }
+
+        this._writeOutput();
+        this._driveBones(current);
+    }
 
     /**
      * Reset all blendshapes to neutral (0)
      */
     reset() {
+        this.currentValues.fill(0);
+        this.springs.reset();
+
         this.meshMappings.forEach((meshData) => {
             const { influences } = meshData;
             for (let i = 0; i < influences.length; i++) {
                 influences[i] = 0;
             }
         });
-    },
+
+        if (this.jawBone) {
+            this.jawBone.reset();
+        }
+        if (this.headEyeBones) {
+            this.headEyeBones.reset();
+        }
+    }
 
     /**
      * Smoothly interpolate from current values to target values
@@ -154,22 +420,31 @@ const BlendShapeMapper = {
     lerpToFrame(targetValues, t, intensity = 1.0) {
         if (!targetValues || targetValues.length < 52) return;
 
+        const output = this.outputValues;
+        for (let idx = 0; idx < 52; idx++) {
+            output[idx] = this.calibrate(idx, Math.max(0, Math.min(1, targetValues[idx] * intensity)));
+        }
+
+        // Lerp each mesh from its current influences to the target
         this.meshMappings.forEach((meshData) => {
-            const { mapping, influences } = meshData;
-            
-            for (const [azureIndex, meshIndex] of Object.entries(mapping)) {
-                const idx = parseInt(azureIndex);
-                if (idx < targetValues.length) {
-                    let targetValue = targetValues[idx] * intensity;
-                    targetValue = Math.max(0, Math.min(1, targetValue));
-                    
-                    // Lerp from current to target
-                    const current = influences[meshIndex];
-                    influences[meshIndex] = current + (targetValue - current) * t;
-                }
+            const { sources, targets, influences } = meshData;
+            for (let i = 0; i < sources.length; i++) {
+                const current = influences[targets[i]];
+                influences[targets[i]] = current + (output[sources[i]] - current) * t;
             }
         });
-    },
+
+        // Bone drivers follow the same interpolation
+        const current = this.currentValues;
+        for (let idx = 0; idx < 55; idx++) {
+            let target = (targetValues[idx] || 0) * intensity;
+            if (!this.isBoneChannel[idx]) {
+                target = Math.max(0, Math.min(1, target));
+            }
+            current[idx] = current[idx] + (target - current[idx]) * t;
+        }
+        this._driveBones(current);
+    }
 
     /**
      * Get statistics about current blendshape state
@@ -180,15 +455,16 @@ const BlendShapeMapper = {
         let activeName = '';
 
         this.meshMappings.forEach((meshData, mesh) => {
-            const { mapping, influences } = meshData;
+            const { sources, targets, influences } = meshData;
             
-            for (const [azureIndex, meshIndex] of Object.entries(mapping)) {
-                const value = influences[meshIndex];
+            for (let i = 0; i < sources.length; i++) {
+                const azureIndex = sources[i];
+                const value = influences[targets[i]];
                 if (value > 0.01) {
                     totalActive++;
                     if (value > maxValue) {
                         maxValue = value;
-                        activeName = this.AZURE_BLENDSHAPES[parseInt(azureIndex)];
+                        activeName = this.AZURE_BLENDSHAPES[azureIndex];
                     }
                 }
             }
@@ -197,9 +473,10 @@ const BlendShapeMapper = {
         return {
             activeCount: totalActive,
             maxValue: maxValue.toFixed(2),
-            maxName: activeName
+            maxName: activeName,
+            unresolvedCount: this.unresolvedChannels.length
         };
-    },
+    }
 
     /**
      * Debug: List all mapped blendshapes
@@ -207,12 +484,18 @@ const BlendShapeMapper = {
     listMappings() {
         this.meshMappings.forEach((meshData, mesh) => {
             console.log(`\nMesh: ${mesh.name}`);
-            for (const [azureIndex, meshIndex] of Object.entries(meshData.mapping)) {
-                console.log(`  Azure[${azureIndex}] ${this.AZURE_BLENDSHAPES[azureIndex]} -> Mesh[${meshIndex}]`);
-            }
+            const names = Object.keys(mesh.morphTargetDictionary);
+            meshData.sources.forEach((azureIndex, i) => {
+                const meshIndex = meshData.targets[i];
+                const meshName = names.find(name => mesh.morphTargetDictionary[name] === meshIndex);
+                console.log(`  Azure[${azureIndex}] ${this.AZURE_BLENDSHAPES[azureIndex]} -> Mesh[${meshIndex}] ${meshName}`);
+            });
         });
+        if (this.unresolvedChannels.length > 0) {
+            console.log(`\nUnresolved: ${this.unresolvedChannels.join(', ')}`);
+        }
     }
-};
+}
 
 // Make available globally
 window.BlendShapeMapper = BlendShapeMapper;
@@ -0,0 +1,116 @@
+/**
+ * Caption Overlay
+ * Shows the phrase being spoken over the avatar, current word highlighted
+ *
+ * Fed by AzureServicesViseme 'word' events, so it follows the audio on the
+ * same clock as the mouth. Only the clause around the current word is shown
+ * (cut at sentence and clause punctuation, then at maxLength characters),
+ * so long replies scroll through a line at a time.
+ *
+ * Usage:
+ *   const captions = new CaptionOverlay(document.querySelector('.avatar-container'));
+ *   captions.setEnabled(true);
+ *   azure.on('word', (word) => captions.showWord(word));
+ *   azure.on('wordsEnd', () => captions.hide());
+ */
+
+class CaptionOverlay {
+    constructor(container) {
+        this.enabled = false;
+
+        // Longest phrase shown, in characters (cut at word boundaries)
+        this.maxLength = 80;
+
+        // Linger after the last word before fading out (ms)
+        this.hideDelay = 1200;
+        this.hideTimer = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'caption-overlay';
+        this.element.setAttribute('aria-live', 'polite');
+        container.appendChild(this.element);
+    }
+
+    /**
+     * Show or hide captions
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this._clear();
+        }
+        console.log('Captions:', enabled ? 'enabled' : 'disabled');
+    }
+
+    /**
+     * Show the phrase around a spoken word
+     * @param {{replyText: string, start: number, end: number}} word - From a 'word' event
+     */
+    showWord({ replyText, start, end }) {
+        if (!this.enabled) return;
+
+        clearTimeout(this.hideTimer);
+        const { from, to } = this._phraseAround(replyText, start, end);
+
+        const current = document.createElement('span');
+        current.className = 'word-current';
+        current.textContent = replyText.slice(start, end);
+
+        this.element.textContent = '';
+        this.element.append(replyText.slice(from, start), current, replyText.slice(end, to));
+        this.element.classList.add('visible');
+    }
+
+    /**
+     * Fade out after hideDelay
+     */
+    hide() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => this._clear(), this.hideDelay);
+    }
+
+    /**
+     * Internal: Remove the caption now
+     */
+    _clear() {
+        clearTimeout(this.hideTimer);
+        this.element.classList.remove('visible');
+        this.element.textContent = '';
+    }
+
+    /**
+     * Internal: Clause containing [start, end), at most maxLength characters
+     */
+    _phraseAround(text, start, end) {
+        const boundary = /[.!?…;:,\n]/g;
+
+        // Just after the last boundary before the word
+        let from = 0;
+        let match;
+        while ((match = boundary.exec(text)) !== null && match.index < start) {
+            from = match.index + 1;
+        }
+
+        // Through the first boundary after it
+        boundary.lastIndex = end;
+        match = boundary.exec(text);
+        let to = match ? match.index + 1 : text.length;
+
+        // Long clause: keep a window around the word, cut at spaces
+        const half = Math.floor((this.maxLength - (end - start)) / 2);
+        if (start - from > half) {
+            const cut = text.indexOf(' ', start - half);
+            from = cut >= 0 && cut < start ? cut + 1 : start;
+        }
+        if (to - end > half) {
+            const cut = text.lastIndexOf(' ', end + half);
+            to = cut >= end ? cut : end;
+        }
+
+        while (from < start && /\s/.test(text[from])) from++;
+        return { from, to };
+    }
+}
+
+// Make available globally
+window.CaptionOverlay = CaptionOverlay;
@@ -0,0 +1,126 @@
+/**
+ * Coarticulation Engine
+ * Blends adjacent Azure visemes by dominance instead of chasing one shape at a time
+ *
+ * Each viseme in the queue occupies a segment from its audioOffset to the next
+ * viseme's audioOffset. Outside its segment a viseme's dominance decays
+ * exponentially - slowly for lip rounding (so "oo"/"oh" shapes start early),
+ * quickly for plosives and fricatives (so they stay crisp).
+ *
+ * Based on the Cohen-Massaro dominance model, simplified for real-time use.
+ */
+
+const Coarticulation = {
+    settings: {
+        enabled: true,
+        lookAheadMs: 250,         // How far ahead in the queue to scan
+        lookBehindMs: 150,        // How far back previous visemes still contribute
+        defaultDurationMs: 100,   // Segment length for the last viseme (no next offset yet)
+        minDominance: 0.01        // Contributions below this are ignored
+    },
+
+    // Dominance per Oculus viseme class
+    // magnitude: strength inside the segment
+    // anticipation / carryover: decay rate per ms before the segment starts / after it ends
+    DOMINANCE: {
+        viseme_sil: { magnitude: 0.3, anticipation: 0.020, carryover: 0.020 },
+        viseme_PP:  { magnitude: 1.0, anticipation: 0.035, carryover: 0.035 },  // p, b, m - lips must meet
+        viseme_FF:  { magnitude: 1.0, anticipation: 0.030, carryover: 0.030 },  // f, v - lip to teeth
+        viseme_TH:  { magnitude: 0.7, anticipation: 0.025, carryover: 0.025 },
+        viseme_DD:  { magnitude: 0.5, anticipation: 0.030, carryover: 0.030 },
+        viseme_kk:  { magnitude: 0.4, anticipation: 0.030, carryover: 0.030 },
+        viseme_CH:  { magnitude: 0.8, anticipation: 0.015, carryover: 0.020 },
+        viseme_SS:  { magnitude: 0.8, anticipation: 0.020, carryover: 0.025 },
+        viseme_nn:  { magnitude: 0.5, anticipation: 0.030, carryover: 0.030 },
+        viseme_RR:  { magnitude: 0.6, anticipation: 0.015, carryover: 0.020 },
+        viseme_aa:  { magnitude: 0.7, anticipation: 0.015, carryover: 0.015 },
+        viseme_E:   { magnitude: 0.6, anticipation: 0.015, carryover: 0.015 },
+        viseme_I:   { magnitude: 0.6, anticipation: 0.015, carryover: 0.015 },
+        viseme_O:   { magnitude: 0.8, anticipation: 0.007, carryover: 0.012 },  // rounding starts early
+        viseme_U:   { magnitude: 0.9, anticipation: 0.006, carryover: 0.012 }   // rounding starts early
+    },
+
+    DEFAULT_DOMINANCE: { magnitude: 0.5, anticipation: 0.02, carryover: 0.02 },
+
+    /**
+     * Compute normalized blend weights for the visemes around the playhead
+     * @param {Array<{visemeId: number, audioOffset: number}>} queue - Viseme timeline (ms)
+     * @param {number} index - Index of the most recently reached viseme (-1 if none yet)
+     * @param {number} elapsed - Current playback time in ms
+     * @param {function(number): string} classify - Maps an Azure viseme ID to an Oculus viseme name
+     * @returns {Array<{visemeId: number, index: number, weight: number, start: number, end: number}>}
+     */
+    computeWeights(queue, index, elapsed, classify) {
+        const { lookAheadMs, lookBehindMs, minDominance } = this.settings;
+        const contributions = [];
+        let total = 0;
+
+        const consider = (j) => {
+            const segment = this.getSegment(queue, j);
+            const dominance = this.dominanceAt(classify(queue[j].visemeId), segment, elapsed);
+            if (dominance < minDominance) return;
+
+            contributions.push({
+                visemeId: queue[j].visemeId,
+                index: j,
+                weight: dominance,
+                start: segment.start,
+                end: segment.end
+            });
+            total += dominance;
+        };
+
+        // Current and previous visemes (carry-over)
+        for (let j = Math.min(index, queue.length - 1); j >= 0; j--) {
+            if (this.getSegment(queue, j).end < elapsed - lookBehindMs) break;
+            consider(j);
+        }
+
+        // Upcoming visemes (anticipation)
+        for (let j = Math.max(index + 1, 0); j < queue.length; j++) {
+            if (queue[j].audioOffset > elapsed + lookAheadMs) break;
+            consider(j);
+        }
+
+        if (total <= 0) return [];
+
+        contributions.forEach(c => c.weight /= total);
+        return contributions;
+    },
+
+    /**
+     * Get the time segment [start, end) occupied by queue entry j
+     */
+    getSegment(queue, j) {
+        const start = queue[j].audioOffset;
+        const next = queue[j + 1];
+        const end = next ? Math.max(next.audioOffset, start) : start + this.settings.defaultDurationMs;
+        return { start, end };
+    },
+
+    /**
+     * Dominance of a viseme class at time t relative to its segment
+     */
+    dominanceAt(visemeName, segment, t) {
+        const d = this.DOMINANCE[visemeName] || this.DEFAULT_DOMINANCE;
+
+        if (t < segment.start) {
+            return d.magnitude * Math.exp(-d.anticipation * (segment.start - t));
+        }
+        if (t > segment.end) {
+            return d.magnitude * Math.exp(-d.carryover * (t - segment.end));
+        }
+        return d.magnitude;
+    },
+
+    /**
+     * Adjust coarticulation settings
+     */
+    setSettings(settings) {
+        Object.assign(this.settings, settings);
+        console.log('Coarticulation settings updated:', this.settings);
+    }
+};
+
+// Make available globally
+window.Coarticulation = Coarticulation;
@@ -32,7 +32,41 @@ const CONFIG = {
     },
     
     // System prompt for the AI
-    systemPrompt: 'You are a friendly assistant. Keep responses brief and conversational.'
+    systemPrompt: 'You are a friendly assistant. Keep responses brief and conversational.',
+
+    // Stream replies and start speaking after the first sentence (false = wait for the full reply;
+    // Audio2Face mode always waits)
+    streamReplies: true,
+
+    // Keep the mic open while the avatar talks so the user can interrupt it by speaking
+    bargeIn: false,
+
+    // Show the phrase being spoken over the avatar, word by word
+    captions: false,
+
+    // Let the AI place cues like <smile/> or <nod/> in its replies (see speech-cues.js)
+    speechCues: true,
+
+    // Voice style of replies: 'auto' lets the AI pick one per reply, '' = none, or an Azure style
+    // such as 'cheerful' (see speaking-styles.js). pitch / volume take SSML values ('+5%', '-2st', 'soft')
+    speakingStyle: { style: 'auto', degree: 1.0, pitch: '', volume: '' },
+
+    // Languages the mic listens for - several are auto-detected (up to 10). Replies are spoken
+    // in the language they're written in - by a multilingual voice itself, otherwise by the
+    // voice in language-voices.js or languageVoices
+    languages: ['en-US', 'es-ES', 'de-DE', 'fr-FR'],
+    languageVoices: {},   // e.g. { 'de-DE': 'de-DE-KatjaNeural', 'es-ES': 'en-US-AvaMultilingualNeural' }
+
+    // Let the AI act through the avatar with tool calls (emotion, gestures, camera, voice - see avatar-tools.js)
+    tools: true,
+    
+    // Extra blendshape name rules for rigs the built-in alias tables miss (see retargeting.js)
+    // e.g. { alias: 'MouthOpen_Big', arkit: 'jawOpen' } or { pattern: '^MTH_(\\w+)$', flags: 'i', arkit: 'mouth$1' }
+    retargeting: [],
+
+    // Temporal filter per blendshape channel group for the A2F / 3D paths (see temporal-filter.js)
+    // e.g. { mouth: { type: 'oneEuro', minCutoff: 3, beta: 0.5 }, brows: 'savitzkyGolay', blink: 'none' }
+    temporalFilter: {}
 };
 
 // Make available globally
@@ -0,0 +1,185 @@
+/**
+ * Head & Eye Bone Driver
+ * Turns Azure's bone channels (indices 52-54) and eyeLook* into bone rotations
+ *
+ * Azure's 3D blendshape stream ends with headRoll, leftEyeRoll and
+ * rightEyeRoll - rotations, not morph targets. Rigs without eye-look morphs
+ * also get their eye bones aimed from the eyeLook* channels.
+ *
+ * Rotations are additive: each render frame the driver removes its previous
+ * offset from every axis that idle movement or an animation hasn't since
+ * rewritten, and adds the new one, so speech motion layers over idle motion.
+ *
+ * One instance per avatar - AvatarRenderer attaches it to its bones, the
+ * BlendShapeMapper feeds it channel values, and update() runs in the render loop.
+ */
+
+class HeadEyeBoneDriver {
+    constructor() {
+        // Bone names tried in order (GLTFLoader strips ':' so both Mixamo spellings are listed)
+        this.BONE_NAMES = {
+            head: ['Head', 'mixamorig:Head', 'mixamorigHead', 'CC_Base_Head', 'J_Bip_C_Head'],
+            leftEye: ['LeftEye', 'mixamorig:LeftEye', 'mixamorigLeftEye', 'CC_Base_L_Eye', 'J_Adj_L_FaceEye', 'Eye_L'],
+            rightEye: ['RightEye', 'mixamorig:RightEye', 'mixamorigRightEye', 'CC_Base_R_Eye', 'J_Adj_R_FaceEye', 'Eye_R']
+        };
+
+        this.settings = {
+            enabled: true,
+            rollAxis: 'z',          // Local axis for headRoll / eye roll
+            headRollScale: 1.0,     // Radians per unit of headRoll
+            eyeRollScale: 1.0,      // Radians per unit of leftEyeRoll / rightEyeRoll
+            eyePitchAxis: 'x',      // Local axis for looking up/down
+            eyeYawAxis: 'y',        // Local axis for looking left/right
+            eyeMaxPitch: 0.35,      // Radians at eyeLookUp/Down = 1 (negative flips direction)
+            eyeMaxYaw: 0.45         // Radians at eyeLookIn/Out = 1 (negative flips direction)
+        };
+
+        // name -> { bone, offset: {x,y,z}, written: {x,y,z} | null }
+        this.rigs = {};
+
+        // Aim eyes from eyeLook* channels (off when the model has eye-look morphs)
+        this.eyeLookFromChannels = false;
+
+        // rig -> {x,y,z} from gestures (nod, shake), layered on top even when disabled
+        this.gestureOffsets = {};
+    }
+
+    /**
+     * Find the head and eye bones among the avatar's bones
+     * @param {Object<string, THREE.Bone>} bones - AvatarRenderer.bones
+     * @param {boolean} [hasEyeLookMorphs=false] - Whether eyeLook* already moves the eyes with morphs
+     * @returns {boolean} Whether any bone will be driven
+     */
+    attach(bones, hasEyeLookMorphs = false) {
+        this.detach();
+
+        Object.entries(this.BONE_NAMES).forEach(([rig, names]) => {
+            const name = names.find(n => bones[n]);
+            if (name) {
+                this.rigs[rig] = { bone: bones[name], offset: { x: 0, y: 0, z: 0 }, written: null };
+            }
+        });
+
+        this.eyeLookFromChannels = !hasEyeLookMorphs;
+
+        const found = Object.keys(this.rigs);
+        if (found.length > 0) {
+            console.log(`HeadEyeBoneDriver: Driving ${found.join(', ')}` +
+                (this.eyeLookFromChannels && (this.rigs.leftEye || this.rigs.rightEye) ? ' (eyes aimed by eyeLook*)' : ''));
+        }
+        return found.length > 0;
+    }
+
+    /**
+     * Release the bones (e.g. before a model switch)
+     */
+    detach() {
+        this.rigs = {};
+        this.eyeLookFromChannels = false;
+    }
+
+    /**
+     * Set target offsets from a frame of channel values
+     * @param {number[]} values - Channel values, indexed like names
+     * @param {string[]} names - Channel names (BlendShapeMapper.AZURE_BLENDSHAPES)
+     */
+    apply(values, names) {
+        const get = (name) => {
+            const i = names.indexOf(name);
+            return i >= 0 ? values[i] || 0 : 0;
+        };
+        const s = this.settings;
+
+        this._setOffset('head', { [s.rollAxis]: get('headRoll') * s.headRollScale });
+
+        const eyes = {
+            leftEye: {
+                roll: get('leftEyeRoll'),
+                pitch: get('eyeLookDownLeft') - get('eyeLookUpLeft'),
+                yaw: get('eyeLookOutLeft') - get('eyeLookInLeft')     // out = toward the character's left
+            },
+            rightEye: {
+                roll: get('rightEyeRoll'),
+                pitch: get('eyeLookDownRight') - get('eyeLookUpRight'),
+                yaw: get('eyeLookInRight') - get('eyeLookOutRight')   // in = toward the character's left
+            }
+        };
+
+        Object.entries(eyes).forEach(([rig, { roll, pitch, yaw }]) => {
+            const offset = { [s.rollAxis]: roll * s.eyeRollScale };
+            if (this.eyeLookFromChannels) {
+                offset[s.eyePitchAxis] = (offset[s.eyePitchAxis] || 0) + pitch * s.eyeMaxPitch;
+                offset[s.eyeYawAxis] = (offset[s.eyeYawAxis] || 0) + yaw * s.eyeMaxYaw;
+            }
+            this._setOffset(rig, offset);
+        });
+    }
+
+    /**
+     * Internal: Replace a rig's target offset
+     */
+    _setOffset(rig, offset) {
+        if (!this.rigs[rig]) return;
+        this.rigs[rig].offset = { x: offset.x || 0, y: offset.y || 0, z: offset.z || 0 };
+    }
+
+    /**
+     * Set a rig's gesture offset (AvatarRenderer.playHeadGesture), added to the channel offset
+     * @param {string} rig - 'head', 'leftEye' or 'rightEye'
+     * @param {{x?: number, y?: number, z?: number}} offset - Radians; {} clears it
+     */
+    setGestureOffset(rig, offset) {
+        this.gestureOffsets[rig] = { x: offset.x || 0, y: offset.y || 0, z: offset.z || 0 };
+    }
+
+    /**
+     * Layer the current offsets onto the bones (call once per render frame)
+     */
+    update() {
+        const enabled = this.settings.enabled;
+
+        Object.entries(this.rigs).forEach(([name, rig]) => {
+            const { bone, written } = rig;
+            const rotation = bone.rotation;
+            const channel = enabled ? rig.offset : { x: 0, y: 0, z: 0 };
+            const gesture = this.gestureOffsets[name] || { x: 0, y: 0, z: 0 };
+            const offset = {
+                x: channel.x + gesture.x,
+                y: channel.y + gesture.y,
+                z: channel.z + gesture.z
+            };
+
+            // Per axis: nobody rewrote it since our last write, so strip our old offset first
+            // (idle movement rewrites only some axes of the head every frame)
+            const base = {};
+            ['x', 'y', 'z'].forEach(axis => {
+                const untouched = written && written.rotation[axis] === rotation[axis];
+                base[axis] = untouched ? rotation[axis] - written.offset[axis] : rotation[axis];
+            });
+
+            rotation.set(base.x + offset.x, base.y + offset.y, base.z + offset.z);
+            rig.written = {
+                rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
+                offset: { ...offset }
+            };
+        });
+    }
+
+    /**
+     * Zero all offsets (bones return to their idle pose on the next update)
+     */
+    reset() {
+        Object.keys(this.rigs).forEach(rig => this._setOffset(rig, {}));
+    }
+
+    /**
+     * Adjust axes and scales
+     */
+    setSettings(settings) {
+        Object.assign(this.settings, settings);
+        console.log('HeadEyeBoneDriver settings updated:', this.settings);
+    }
+}
+
+// Make available globally
+window.HeadEyeBoneDriver = HeadEyeBoneDriver;
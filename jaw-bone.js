@@ -0,0 +1,108 @@
+/**
+ * Jaw Bone Driver
+ * Opens the mouth by rotating a jaw bone on rigs without a jawOpen morph
+ *
+ * Mixamo-style rigs hinge the lower jaw on a bone (Jaw, mixamorig:Jaw)
+ * instead of shipping a jawOpen morph target. Openness (0-1) comes from the
+ * viseme mix (VisemeMapper) or the ARKit jawOpen channel (BlendShapeMapper,
+ * Audio2Face) and maps linearly onto [minAngle, maxAngle] around the
+ * configured axis, on top of the bone's rest rotation plus restOffset.
+ *
+ * One instance per avatar - AvatarRenderer attaches it to its bones and
+ * shares it with both mappers.
+ */
+
+class JawBoneDriver {
+    constructor() {
+        // Bone names tried in order (GLTFLoader strips ':' so both Mixamo spellings are listed)
+        this.BONE_NAMES = ['Jaw', 'mixamorig:Jaw', 'mixamorigJaw', 'jaw', 'JawRoot', 'CC_Base_JawRoot'];
+
+        this.settings = {
+            enabled: true,
+            axis: 'x',                  // Local rotation axis that opens the jaw
+            minAngle: 0,                // Radians at openness 0
+            maxAngle: 0.3,              // Radians at openness 1 (negative flips direction)
+            restOffset: 0,              // Radians added to the rest pose (e.g. to close a gaping jaw)
+            onlyWithoutJawMorph: true   // Leave the bone alone when the model has a jawOpen morph
+        };
+
+        this.bone = null;
+        this.rest = null;
+        this.openness = 0;
+    }
+
+    /**
+     * Find the jaw bone among the avatar's bones
+     * @param {Object<string, THREE.Bone>} bones - AvatarRenderer.bones
+     * @param {Object} [restPose] - AvatarRenderer.restPose (falls back to the bone's current rotation)
+     * @param {boolean} [hasJawMorph=false] - Whether the model can open the mouth with a jawOpen morph
+     * @returns {boolean} Whether a bone will be driven
+     */
+    attach(bones, restPose = null, hasJawMorph = false) {
+        this.detach();
+
+        const name = this.BONE_NAMES.find(n => bones[n]) ||
+            Object.keys(bones).find(n => /(^|[:_])jaw$/i.test(n));
+
+        if (!name) {
+            return false;
+        }
+
+        if (hasJawMorph && this.settings.onlyWithoutJawMorph) {
+            console.log(`JawBoneDriver: ${name} found but model has a jawOpen morph - bone not driven`);
+            return false;
+        }
+
+        const bone = bones[name];
+        const rest = restPose?.[name] || bone.rotation;
+        this.bone = bone;
+        this.rest = { x: rest.x, y: rest.y, z: rest.z };
+        this.apply(0);
+
+        console.log(`JawBoneDriver: Driving jaw bone ${name} (axis ${this.settings.axis})`);
+        return true;
+    }
+
+    /**
+     * Release the bone (e.g. before a model switch)
+     */
+    detach() {
+        this.bone = null;
+        this.rest = null;
+        this.openness = 0;
+    }
+
+    /**
+     * Rotate the jaw for a given openness
+     * @param {number} openness - 0 (closed) to 1 (fully open)
+     */
+    apply(openness) {
+        this.openness = Math.max(0, Math.min(1, openness || 0));
+        if (!this.bone) return;
+
+        const { enabled, axis, minAngle, maxAngle, restOffset } = this.settings;
+        const angle = enabled ? minAngle + (maxAngle - minAngle) * this.openness : 0;
+
+        this.bone.rotation.set(this.rest.x, this.rest.y, this.rest.z);
+        this.bone.rotation[axis] += restOffset + angle;
+    }
+
+    /**
+     * Close the jaw
+     */
+    reset() {
+        this.apply(0);
+    }
+
+    /**
+     * Adjust axis, limits or rest offset
+     */
+    setSettings(settings) {
+        Object.assign(this.settings, settings);
+        this.apply(this.openness);
+        console.log('JawBoneDriver settings updated:', this.settings);
+    }
+}
+
+// Make available globally
+window.JawBoneDriver = JawBoneDriver;
@@ -0,0 +1,139 @@
+/**
+ * Language Voices
+ * Reply language detection and the default voice for each language
+ *
+ * The recognizer reports the language the user spoke (auto-detect among
+ * AzureServicesViseme.languages); typed messages and replies are detected
+ * here from their text - a stopword count, plus the script for languages
+ * that don't use Latin letters. It only has to tell the candidate
+ * languages apart, and returns null when unsure (short replies like "OK!")
+ * so the caller falls back to the language in use.
+ *
+ * buildSSML() then sets xml:lang. A multilingual selected voice keeps
+ * speaking, wrapped in <lang xml:lang> so it switches accent; other voices
+ * hand over to the voice for the language from `voices` (unless the
+ * selected voice is already of that language).
+ *
+ * Locales are Azure ones ('es-ES'); detection works on the base language ('es').
+ */
+
+const LanguageVoices = {
+    // Default voice per locale (override per app with AzureServicesViseme.setLanguageVoices)
+    voices: {
+        'en-US': 'en-US-AndrewMultilingualNeural',
+        'en-GB': 'en-GB-RyanNeural',
+        'es-ES': 'es-ES-AlvaroNeural',
+        'es-MX': 'es-MX-JorgeNeural',
+        'de-DE': 'de-DE-ConradNeural',
+        'fr-FR': 'fr-FR-HenriNeural',
+        'it-IT': 'it-IT-DiegoNeural',
+        'pt-BR': 'pt-BR-AntonioNeural',
+        'nl-NL': 'nl-NL-MaartenNeural',
+        'ru-RU': 'ru-RU-DmitryNeural',
+        'ja-JP': 'ja-JP-KeitaNeural',
+        'ko-KR': 'ko-KR-InJoonNeural',
+        'zh-CN': 'zh-CN-YunxiNeural'
+    },
+
+    // Base language -> name (for the LLM)
+    names: {
+        en: 'English', es: 'Spanish', de: 'German', fr: 'French', it: 'Italian',
+        pt: 'Portuguese', nl: 'Dutch', ru: 'Russian', ja: 'Japanese', ko: 'Korean', zh: 'Chinese'
+    },
+
+    // Languages recognized by their script (checked in order - kana before Han)
+    SCRIPTS: [
+        ['ja', /[\u3040-\u30ff]/],
+        ['ko', /[\uac00-\ud7af]/],
+        ['zh', /[\u4e00-\u9fff]/],
+        ['ru', /[\u0400-\u04ff]/]
+    ],
+
+    // Frequent words that are (mostly) specific to one Latin-script language
+    STOPWORDS: {
+        en: ['the', 'and', 'is', 'are', 'you', 'what', 'this', 'that', 'with', 'have', 'it', 'of', 'to', 'i', 'my', 'your', 'was', 'not', 'can', 'how', 'do', 'for', 'be', 'there', 'hello'],
+        es: ['el', 'la', 'los', 'las', 'y', 'es', 'que', 'de', 'en', 'un', 'una', 'por', 'para', 'con', 'no', 'está', 'estás', 'qué', 'cómo', 'yo', 'tú', 'muy', 'pero', 'hola', 'gracias', 'sí'],
+        de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'sie', 'wir', 'ein', 'eine', 'mit', 'auf', 'für', 'zu', 'es', 'wie', 'was', 'auch', 'sehr', 'hallo', 'danke', 'ja', 'bitte', 'gut'],
+        fr: ['le', 'la', 'les', 'et', 'est', 'je', 'tu', 'vous', 'nous', 'un', 'une', 'des', 'du', 'pour', 'avec', 'pas', 'que', 'qui', 'ce', "c'est", 'bonjour', 'merci', 'oui', 'très', 'mais'],
+        it: ['il', 'lo', 'gli', 'e', 'è', 'che', 'di', 'un', 'una', 'per', 'con', 'non', 'sono', 'sei', 'io', 'tu', 'come', 'molto', 'ciao', 'grazie', 'anche', 'questo', 'della', 'nel'],
+        pt: ['o', 'os', 'as', 'e', 'é', 'que', 'de', 'um', 'uma', 'para', 'com', 'não', 'você', 'eu', 'muito', 'obrigado', 'obrigada', 'olá', 'está', 'isso', 'mas', 'como', 'do', 'da'],
+        nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'ik', 'je', 'jij', 'we', 'wij', 'met', 'op', 'voor', 'van', 'dat', 'wat', 'hoe', 'ook', 'heel', 'hallo', 'dank', 'bedankt', 'graag', 'zijn']
+    },
+
+    // Letters that give a language away (each counts as two stopwords)
+    LETTERS: {
+        es: /[ñ¿¡]/g,
+        de: /[ßäöü]/g,
+        fr: /[çèêëœ]/g,
+        pt: /[ãõ]/g
+    },
+
+    /**
+     * Base language of a text
+     * @param {string} text
+     * @returns {string|null} e.g. 'es', or null when there isn't enough to go on
+     */
+    detect(text) {
+        if (!text) return null;
+
+        for (const [base, pattern] of this.SCRIPTS) {
+            if (pattern.test(text)) return base;
+        }
+
+        const lower = text.toLowerCase();
+        const words = lower.match(/[\p{L}']+/gu) || [];
+        const scores = {};
+        Object.entries(this.STOPWORDS).forEach(([base, list]) => {
+            scores[base] = words.filter(word => list.includes(word)).length;
+        });
+        Object.entries(this.LETTERS).forEach(([base, pattern]) => {
+            scores[base] += 2 * (lower.match(pattern) || []).length;
+        });
+
+        const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        if (best[1] < 2 || best[1] === second[1]) return null;
+        return best[0];
+    },
+
+    /**
+     * Base language of a locale ('es-MX' -> 'es')
+     */
+    baseOf(locale) {
+        return locale ? locale.split('-')[0].toLowerCase() : null;
+    },
+
+    /**
+     * First locale with a default voice for a base language
+     */
+    defaultLocale(base) {
+        return Object.keys(this.voices).find(locale => this.baseOf(locale) === base) || null;
+    },
+
+    /**
+     * Locale of an Azure voice name ('de-DE-ConradNeural' -> 'de-DE')
+     */
+    localeOfVoice(voice) {
+        const match = voice && voice.match(/^([a-z]{2,3}-[A-Z]{2})-/);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Whether a voice speaks other languages natively (<lang> switches its accent)
+     */
+    isMultilingual(voice) {
+        return /Multilingual/i.test(voice || '');
+    },
+
+    /**
+     * System prompt addition: answer in the user's language
+     * @param {string|null} locale - Language of the user's last message, if known
+     */
+    getPromptHint(locale) {
+        const name = this.names[this.baseOf(locale)];
+        return 'Always answer in the language of the user\'s last message' +
+            (name ? ` (currently ${name})` : '') + ', even if earlier messages were in another language.';
+    }
+};
+
+// Make available globally
+window.LanguageVoices = LanguageVoices;
@@ -0,0 +1,307 @@
+/**
+ * Morph Target Compositor
+ * Blends named layers into morphTargetInfluences once per render frame
+ *
+ * Lip-sync, expressions and blinks used to write straight into the meshes,
+ * so the last writer won (an Audio2Face frame erased a blink, a micro-smile
+ * fought the viseme mouth). Each writer now owns a layer buffer shaped like
+ * the mesh's influences, and update() combines them in order:
+ *
+ *   base      override  Model's rest influences, or its AnimationMixer's morph tracks
+ *   affect    additive  ExpressionSystem.setAffect() - speaking-style face / held emotion baseline
+ *   emotion   additive  ExpressionSystem micro-expressions
+ *   lipsync   additive  VisemeMapper / BlendShapeMapper (Azure 3D, Audio2Face)
+ *   blink     max       ExpressionSystem blinks, eyelid channels only
+ *   override  override  Manual control (setChannel), only channels that are set
+ *
+ * Blend modes, per channel with layer weight w:
+ *   additive  out += value * w
+ *   max       out = max(out, value * w)
+ *   override  out += (value - out) * w   (unset channels are left alone)
+ *
+ * Layers can be masked to channel groups (mouth, jaw, blink, ...). Groups
+ * are read from the morph target names after retargeting normalization, so
+ * Character Creator and VRoid names land in the same groups as ARKit ones.
+ *
+ * One instance per avatar - AvatarRenderer attaches it to the model and hands
+ * it to both mappers and the ExpressionSystem.
+ *
+ * Models with embedded morph animation: call beginMixerFrame() before
+ * mixer.update() so update() takes the animated channels as the base layer
+ * instead of overwriting them.
+ */
+
+class MorphCompositor {
+    constructor() {
+        // Evaluation order (first to last)
+        this.LAYER_ORDER = ['base', 'affect', 'emotion', 'lipsync', 'blink', 'override'];
+
+        this.BLEND_MODES = ['additive', 'max', 'override'];
+
+        // Channel groups, matched in order against normalized morph target names
+        this.CHANNEL_GROUPS = [
+            ['visemes', /^viseme/],
+            ['blink', /blink|eyesclosed|eyeclose/],
+            ['eyes', /eye/],
+            ['brows', /brow|brw/],
+            ['tongue', /tongue/],
+            ['jaw', /jaw/],
+            ['mouth', /mouth|lip|mth/],
+            ['cheeks', /cheek/],
+            ['nose', /nose/]
+        ];
+
+        // name -> { mode, weight, groups (null = all channels), enabled }
+        this.layers = {
+            base: { mode: 'override', weight: 1.0, groups: null, enabled: true },
+            affect: { mode: 'additive', weight: 1.0, groups: null, enabled: true },
+            emotion: { mode: 'additive', weight: 1.0, groups: null, enabled: true },
+            lipsync: { mode: 'additive', weight: 1.0, groups: null, enabled: true },
+            blink: { mode: 'max', weight: 1.0, groups: ['blink'], enabled: true },
+            override: { mode: 'override', weight: 1.0, groups: null, enabled: true }
+        };
+
+        this.settings = {
+            clamp: true     // Clamp composed influences to [0, 1]
+        };
+
+        // mesh -> { influences, dictionary, groups: string[], buffers: {layer: Float32Array}, masks: {layer: Uint8Array|null} }
+        this.meshes = new Map();
+
+        // An AnimationMixer has written the meshes since beginMixerFrame()
+        this.mixerFrame = false;
+    }
+
+    /**
+     * Register every morph-target mesh in a model
+     * The model's current influences become the base layer.
+     * @param {THREE.Object3D} model - Loaded GLTF scene
+     * @returns {number} Number of meshes composited
+     */
+    attach(model) {
+        this.detach();
+
+        model.traverse((node) => {
+            if (node.isMesh && node.morphTargetInfluences && node.morphTargetDictionary) {
+                this._register(node);
+            }
+        });
+
+        console.log(`MorphCompositor: Compositing ${this.meshes.size} meshes (${this.LAYER_ORDER.join(' > ')})`);
+        return this.meshes.size;
+    }
+
+    /**
+     * Release all meshes (e.g. before a model switch)
+     */
+    detach() {
+        this.meshes.clear();
+    }
+
+    /**
+     * Internal: Create layer buffers and group masks for one mesh
+     */
+    _register(mesh) {
+        const influences = mesh.morphTargetInfluences;
+        const dictionary = mesh.morphTargetDictionary || {};
+
+        const groups = new Array(influences.length).fill('other');
+        Object.entries(dictionary).forEach(([name, index]) => {
+            groups[index] = this._groupOf(name);
+        });
+
+        const buffers = {};
+        this.LAYER_ORDER.forEach(layer => {
+            buffers[layer] = new Float32Array(influences.length).fill(this._emptyValue(layer));
+        });
+        buffers.base.set(influences);
+
+        const entry = { influences, dictionary, groups, buffers, masks: {} };
+        this.meshes.set(mesh, entry);
+        this.LAYER_ORDER.forEach(layer => this._buildMask(entry, layer));
+        return entry;
+    }
+
+    /**
+     * Internal: Channel group for a morph target name
+     */
+    _groupOf(name) {
+        const key = window.Retargeting ? window.Retargeting.normalize(name) : name.toLowerCase();
+        const match = this.CHANNEL_GROUPS.find(([, pattern]) => pattern.test(key));
+        return match ? match[0] : 'other';
+    }
+
+    /**
+     * Internal: Value meaning "not set" - override layers skip NaN channels
+     */
+    _emptyValue(layer) {
+        return layer !== 'base' && this.layers[layer].mode === 'override' ? NaN : 0;
+    }
+
+    /**
+     * Internal: Rebuild a layer's group mask for one mesh (null = all channels)
+     */
+    _buildMask(entry, layer) {
+        const groups = this.layers[layer].groups;
+        entry.masks[layer] = groups
+            ? Uint8Array.from(entry.groups, group => groups.includes(group) ? 1 : 0)
+            : null;
+    }
+
+    /**
+     * Buffer a writer fills instead of mesh.morphTargetInfluences
+     * Indexed like the mesh's influences; unknown meshes are registered on demand.
+     * @param {string} layer - Layer name
+     * @param {THREE.Mesh} mesh
+     * @returns {Float32Array}
+     */
+    getLayerValues(layer, mesh) {
+        if (!this.layers[layer]) {
+            throw new Error(`MorphCompositor: Unknown layer "${layer}"`);
+        }
+        const entry = this.meshes.get(mesh) || this._register(mesh);
+        return entry.buffers[layer];
+    }
+
+    /**
+     * Set a morph target by name on every mesh that has it
+     * @param {string} layer - Layer name
+     * @param {string} name - Morph target name
+     * @param {number|null} value - null clears the channel (override layers stop holding it)
+     */
+    setChannel(layer, name, value) {
+        const empty = this._emptyValue(layer);
+        this.meshes.forEach(entry => {
+            const index = entry.dictionary[name];
+            if (index !== undefined) {
+                entry.buffers[layer][index] = value === null ? empty : value;
+            }
+        });
+    }
+
+    /**
+     * Read a morph target from the first mesh that has it
+     * @returns {number} Layer value (0 when unset or missing)
+     */
+    getChannel(layer, name) {
+        for (const entry of this.meshes.values()) {
+            const index = entry.dictionary[name];
+            if (index !== undefined) {
+                const value = entry.buffers[layer][index];
+                return value === value ? value : 0;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Empty a layer on every mesh
+     */
+    clearLayer(layer) {
+        const empty = this._emptyValue(layer);
+        this.meshes.forEach(entry => entry.buffers[layer].fill(empty));
+    }
+
+    /**
+     * Change a layer's blend mode, weight, group mask or enabled flag
+     * @param {string} layer - Layer name
+     * @param {{mode?: string, weight?: number, groups?: string[]|null, enabled?: boolean}} options
+     */
+    setLayer(layer, options) {
+        const config = this.layers[layer];
+        if (!config) {
+            console.warn(`MorphCompositor: Unknown layer "${layer}"`);
+            return;
+        }
+        if (options.mode && !this.BLEND_MODES.includes(options.mode)) {
+            console.warn(`MorphCompositor: Unknown blend mode "${options.mode}"`);
+            return;
+        }
+
+        const wasEmpty = this._emptyValue(layer);
+        Object.assign(config, options);
+
+        // Switching to/from override changes what an unset channel looks like
+        const empty = this._emptyValue(layer);
+        this.meshes.forEach(entry => {
+            if (Number.isNaN(wasEmpty) !== Number.isNaN(empty)) {
+                const buffer = entry.buffers[layer];
+                for (let i = 0; i < buffer.length; i++) {
+                    if (buffer[i] !== buffer[i] || buffer[i] === wasEmpty) buffer[i] = empty;
+                }
+            }
+            this._buildMask(entry, layer);
+        });
+
+        console.log(`MorphCompositor: Layer ${layer} updated:`, config);
+    }
+
+    /**
+     * Put the base layer back into the meshes before an AnimationMixer writes them
+     * The mixer only writes channels it has tracks for, so after mixer.update()
+     * the meshes hold the base layer with the animated channels on top.
+     */
+    beginMixerFrame() {
+        this.meshes.forEach(({ influences, buffers }) => {
+            for (let i = 0; i < influences.length; i++) {
+                influences[i] = buffers.base[i];
+            }
+        });
+        this.mixerFrame = true;
+    }
+
+    /**
+     * Compose all layers into the meshes (call once per render frame)
+     */
+    update() {
+        const clamp = this.settings.clamp;
+        const fromMixer = this.mixerFrame;
+        this.mixerFrame = false;
+
+        this.meshes.forEach(entry => {
+            const { influences, buffers, masks } = entry;
+
+            // Morph tracks the mixer played this frame become the base layer
+            if (fromMixer) {
+                buffers.base.set(influences);
+            }
+
+            for (let i = 0; i < influences.length; i++) {
+                let out = 0;
+
+                for (const layer of this.LAYER_ORDER) {
+                    const { mode, weight, enabled } = this.layers[layer];
+                    const value = buffers[layer][i];
+                    if (!enabled || value !== value) continue;
+
+                    const mask = masks[layer];
+                    if (mask && !mask[i]) continue;
+
+                    if (mode === 'additive') {
+                        out += value * weight;
+                    } else if (mode === 'max') {
+                        out = Math.max(out, value * weight);
+                    } else {
+                        out += (value - out) * weight;
+                    }
+                }
+
+                influences[i] = clamp ? Math.max(0, Math.min(1, out)) : out;
+            }
+        });
+    }
+
+    /**
+     * Get current state for debugging
+     */
+    getStats() {
+        return {
+            meshCount: this.meshes.size,
+            layers: JSON.parse(JSON.stringify(this.layers)),
+            settings: { ...this.settings }
+        };
+    }
+}
+
+// Make available globally
+window.MorphCompositor = MorphCompositor;
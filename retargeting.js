@@ -0,0 +1,217 @@
+/**
+ * Blendshape Name Retargeting
+ * Resolves ARKit channel names to a model's own morph target names
+ *
+ * Character Creator, VRoid and DAZ exports rarely use the exact ARKit names
+ * (`Mouth_Smile_L`, `A25_Jaw_Open`, `Fcl_MTH_A`). Each channel is resolved
+ * in order, first hit wins:
+ *   1. Exact ARKit name
+ *   2. User rules (alias or regex, see addRule)
+ *   3. Built-in alias tables per rig family (ALIASES)
+ *   4. Normalized name match - case, separators, `A01_` / `facs_bs_` style
+ *      prefixes and `_L` / `_R` suffixes are ignored
+ *
+ * Shared by BlendShapeMapper and (through it) Audio2FaceClient.
+ */
+
+const Retargeting = {
+    // Built-in aliases: ARKit channel -> morph target names (all present names are driven)
+    ALIASES: {
+        // Character Creator 4 (CC_Base, "Extended" facial profile)
+        cc: {
+            eyeLookDownLeft: ['Eye_L_Look_Down'],
+            eyeLookDownRight: ['Eye_R_Look_Down'],
+            eyeLookInLeft: ['Eye_L_Look_R'],
+            eyeLookInRight: ['Eye_R_Look_L'],
+            eyeLookOutLeft: ['Eye_L_Look_L'],
+            eyeLookOutRight: ['Eye_R_Look_R'],
+            eyeLookUpLeft: ['Eye_L_Look_Up'],
+            eyeLookUpRight: ['Eye_R_Look_Up'],
+            browDownLeft: ['Brow_Drop_L'],
+            browDownRight: ['Brow_Drop_R'],
+            browInnerUp: ['Brow_Raise_Inner_L', 'Brow_Raise_Inner_R'],
+            browOuterUpLeft: ['Brow_Raise_Outer_L'],
+            browOuterUpRight: ['Brow_Raise_Outer_R'],
+            cheekPuff: ['Cheek_Puff_L', 'Cheek_Puff_R'],
+            cheekSquintLeft: ['Cheek_Raise_L'],
+            cheekSquintRight: ['Cheek_Raise_R'],
+            mouthFunnel: ['Mouth_Funnel_Up_L', 'Mouth_Funnel_Up_R', 'Mouth_Funnel_Down_L', 'Mouth_Funnel_Down_R'],
+            mouthPucker: ['Mouth_Pucker_Up_L', 'Mouth_Pucker_Up_R', 'Mouth_Pucker_Down_L', 'Mouth_Pucker_Down_R'],
+            mouthLeft: ['Mouth_L'],
+            mouthRight: ['Mouth_R'],
+            mouthRollUpper: ['Mouth_Roll_In_Upper_L', 'Mouth_Roll_In_Upper_R'],
+            mouthRollLower: ['Mouth_Roll_In_Lower_L', 'Mouth_Roll_In_Lower_R'],
+            mouthUpperUpLeft: ['Mouth_Up_Upper_L'],
+            mouthUpperUpRight: ['Mouth_Up_Upper_R'],
+            mouthLowerDownLeft: ['Mouth_Down_Lower_L'],
+            mouthLowerDownRight: ['Mouth_Down_Lower_R'],
+            jawOpen: ['Jaw_Open', 'Merged_Open_Mouth']
+        },
+
+        // VRoid / VRM 0.x face clips (approximate - VRoid has no ARKit set)
+        vroid: {
+            eyeBlinkLeft: ['Fcl_EYE_Close_L'],
+            eyeBlinkRight: ['Fcl_EYE_Close_R'],
+            eyeWideLeft: ['Fcl_EYE_Surprised'],
+            browDownLeft: ['Fcl_BRW_Angry'],
+            browInnerUp: ['Fcl_BRW_Sorrow'],
+            browOuterUpLeft: ['Fcl_BRW_Surprised'],
+            jawOpen: ['Fcl_MTH_A'],
+            mouthClose: ['Fcl_MTH_Close'],
+            mouthFunnel: ['Fcl_MTH_O'],
+            mouthPucker: ['Fcl_MTH_U'],
+            mouthStretchLeft: ['Fcl_MTH_I'],
+            mouthLowerDownLeft: ['Fcl_MTH_E'],
+            mouthSmileLeft: ['Fcl_MTH_Fun'],
+            mouthFrownLeft: ['Fcl_MTH_Sorrow'],
+            mouthUpperUpLeft: ['Fcl_MTH_Up'],
+            mouthShrugLower: ['Fcl_MTH_Down']
+        },
+
+        // DAZ Genesis 8 expression controls (FACS exports normalize without aliases)
+        daz: {
+            eyeBlinkLeft: ['eCTRLEyesClosedL'],
+            eyeBlinkRight: ['eCTRLEyesClosedR'],
+            eyeSquintLeft: ['eCTRLEyesSquintL'],
+            eyeSquintRight: ['eCTRLEyesSquintR'],
+            browInnerUp: ['eCTRLBrowInnerUp'],
+            browDownLeft: ['eCTRLBrowDownL'],
+            browDownRight: ['eCTRLBrowDownR'],
+            browOuterUpLeft: ['eCTRLBrowOuterUpL'],
+            browOuterUpRight: ['eCTRLBrowOuterUpR'],
+            cheekPuff: ['eCTRLCheeksBalloon'],
+            jawOpen: ['eCTRLMouthOpen'],
+            mouthSmileLeft: ['eCTRLMouthSmileSimpleL'],
+            mouthSmileRight: ['eCTRLMouthSmileSimpleR'],
+            mouthFrownLeft: ['eCTRLMouthFrownL'],
+            mouthFrownRight: ['eCTRLMouthFrownR'],
+            mouthPucker: ['eCTRLLipsPucker'],
+            mouthFunnel: ['eCTRLMouthNarrow'],
+            tongueOut: ['eCTRLTongueOut']
+        }
+    },
+
+    // User rules, checked before the built-in tables
+    // { alias: 'MyJaw', arkit: 'jawOpen' } or { pattern: '^MTH_(\\w+)$', flags: 'i', arkit: 'mouth$1' }
+    rules: [],
+
+    /**
+     * Add a user rule mapping model names to an ARKit channel
+     * @param {Object} rule - { alias, arkit } or { pattern, flags, arkit } ($1.. refer to capture groups)
+     */
+    addRule(rule) {
+        if (!rule || !rule.arkit || (!rule.alias && !rule.pattern)) {
+            console.warn('Retargeting: Ignoring rule without arkit and alias/pattern:', rule);
+            return;
+        }
+
+        const compiled = { ...rule };
+        if (rule.pattern) {
+            const isRegExp = rule.pattern instanceof RegExp;
+            // Without 'g'/'y': test() would carry lastIndex over from one name to the next
+            const flags = (isRegExp ? rule.pattern.flags : rule.flags || '').replace(/[gy]/g, '');
+            compiled.regex = new RegExp(isRegExp ? rule.pattern.source : rule.pattern, flags);
+        }
+        this.rules.push(compiled);
+    },
+
+    /**
+     * Replace all user rules (e.g. from a JSON file)
+     */
+    setRules(rules) {
+        this.rules = [];
+        (rules || []).forEach(rule => this.addRule(rule));
+        console.log(`Retargeting: ${this.rules.length} user rules active`);
+    },
+
+    /**
+     * Reduce a morph target name to a comparable key
+     * e.g. 'A25_Jaw_Open' -> 'jawopen', 'Mouth_Smile_L' -> 'mouthsmileleft',
+     *      'facs_bs_MouthSmileLeft_div2' -> 'mouthsmileleft'
+     */
+    normalize(name) {
+        return name
+            .replace(/_div\d+$/i, '')
+            .replace(/[_.\-\s]L$/i, 'Left')              // Mouth_Smile_L, Mouth.L
+            .replace(/[_.\-\s]R$/i, 'Right')
+            .replace(/^.*\./, '')                        // blendShape1.jawOpen
+            .replace(/^(A\d+_|facs_(jnt|bs|cbs|ctrl)_|arkit_)/i, '')
+            .replace(/[^a-z0-9]/gi, '')
+            .toLowerCase();
+    },
+
+    /**
+     * Resolve channels against one mesh's morphTargetDictionary
+     * @param {Object<string, number>} dictionary - Morph target name -> index
+     * @param {string[]} channels - ARKit channel names to resolve
+     * @returns {{indices: Object<string, number[]>, sources: Object<string, string>, unresolved: string[]}}
+     */
+    resolve(dictionary, channels) {
+        const names = Object.keys(dictionary);
+        const indices = {};
+        const sources = {};
+        const channelByLower = {};
+        channels.forEach(channel => channelByLower[channel.toLowerCase()] = channel);
+
+        const assign = (channel, targetNames, source) => {
+            const found = targetNames.filter(n => dictionary[n] !== undefined).map(n => dictionary[n]);
+            if (found.length === 0) return;
+            indices[channel] = (indices[channel] || []).concat(found);
+            sources[channel] = source;
+        };
+
+        // 1. Exact ARKit names
+        channels.forEach(channel => assign(channel, [channel], 'exact'));
+
+        // 2. User rules
+        const ruleHits = {};
+        this.rules.forEach(rule => {
+            names.forEach(name => {
+                let arkit = null;
+                if (rule.regex) {
+                    if (rule.regex.test(name)) arkit = name.replace(rule.regex, rule.arkit);
+                } else if (rule.alias === name) {
+                    arkit = rule.arkit;
+                }
+
+                // Accept the channel in any case ('mouthsmileleft' from a $1 capture)
+                const channel = arkit && channelByLower[arkit.toLowerCase()];
+                if (channel && !sources[channel]) {
+                    (ruleHits[channel] = ruleHits[channel] || []).push(name);
+                }
+            });
+        });
+        Object.entries(ruleHits).forEach(([channel, hits]) => assign(channel, hits, 'rule'));
+
+        // 3. Built-in alias tables
+        Object.entries(this.ALIASES).forEach(([family, table]) => {
+            channels.forEach(channel => {
+                if (!sources[channel] && table[channel]) {
+                    assign(channel, table[channel], `alias:${family}`);
+                }
+            });
+        });
+
+        // 4. Normalized names
+        const byNormalized = {};
+        names.forEach(name => {
+            const key = this.normalize(name);
+            (byNormalized[key] = byNormalized[key] || []).push(name);
+        });
+        channels.forEach(channel => {
+            const matches = byNormalized[this.normalize(channel)];
+            if (!sources[channel] && matches) {
+                assign(channel, matches, 'normalized');
+            }
+        });
+
+        return {
+            indices,
+            sources,
+            unresolved: channels.filter(channel => !sources[channel])
+        };
+    }
+};
+
+// Make available globally
+window.Retargeting = Retargeting;
@@ -0,0 +1,95 @@
+/**
+ * Sentence Splitter
+ * Cuts a streamed LLM reply into sentences as soon as each one is complete
+ *
+ * A sentence ends at . ! ? or … (plus closing quotes/brackets) followed by
+ * whitespace, or at a line break. The whitespace requirement means "3.14"
+ * or "e.g." mid-stream is never cut early - the splitter waits for the next
+ * character. Abbreviations (Mr., Dr., e.g.) and initials (J. K.) don't end
+ * a sentence.
+ *
+ * Usage:
+ *   const splitter = new SentenceSplitter();
+ *   splitter.push(delta).forEach(speakSentence);   // per streamed chunk
+ *   splitter.flush().forEach(speakSentence);       // when the stream ends
+ */
+
+class SentenceSplitter {
+    constructor({ minLength = 12 } = {}) {
+        // Shorter fragments are joined with the next sentence (fewer tiny TTS requests)
+        this.minLength = minLength;
+
+        this.ABBREVIATIONS = new Set([
+            'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'etc',
+            'e.g', 'i.e', 'approx', 'fig', 'inc', 'ltd', 'co', 'jan', 'feb',
+            'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+        ]);
+
+        this.buffer = '';
+    }
+
+    /**
+     * Add streamed text
+     * @param {string} text - Next chunk of the reply
+     * @returns {string[]} Sentences completed by this chunk
+     */
+    push(text) {
+        this.buffer += text;
+        const sentences = [];
+
+        let start = 0;
+        const boundary = /([.!?…]+["'”’)\]]*)(\s+)|\n+/g;
+        let match;
+
+        while ((match = boundary.exec(this.buffer)) !== null) {
+            if (match[1] === '.' && this._isAbbreviation(this.buffer.slice(start, match.index))) {
+                continue;
+            }
+
+            const end = match[1] ? match.index + match[1].length : match.index;
+            const sentence = this.buffer.slice(start, end).trim();
+
+            // Too short to speak alone: keep it for the next sentence
+            if (sentence.length < this.minLength && !/\n/.test(match[0])) {
+                continue;
+            }
+
+            if (sentence) {
+                sentences.push(sentence);
+            }
+            start = boundary.lastIndex;
+        }
+
+        this.buffer = this.buffer.slice(start);
+        return sentences;
+    }
+
+    /**
+     * End of stream
+     * @returns {string[]} Whatever text is left (may be an unterminated sentence)
+     */
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest ? [rest] : [];
+    }
+
+    /**
+     * Forget buffered text (e.g. when a reply is cancelled)
+     */
+    reset() {
+        this.buffer = '';
+    }
+
+    /**
+     * Internal: Whether text ending at a period ends in an abbreviation or initial
+     */
+    _isAbbreviation(text) {
+        const word = text.split(/\s+/).pop().replace(/^["'“‘(\[]+/, '');
+        if (/^[A-Z]$/.test(word)) return true;   // Initials: "J. K. Rowling"
+        return this.ABBREVIATIONS.has(word.toLowerCase());
+    }
+}
+
+// Make available globally
+window.SentenceSplitter = SentenceSplitter;
@@ -0,0 +1,110 @@
+/**
+ * Time-based Smoothing
+ * Critically damped springs shared by the viseme, A2F and blendshape paths
+ *
+ * A fixed lerp factor per requestAnimationFrame moves twice as fast at 120Hz
+ * as at 60Hz. Springs advanced by the real frame delta settle in the same
+ * wall-clock time on every device.
+ */
+
+const Smoothing = {
+    settings: {
+        responseMs: 60,          // Time for lip-sync channels to settle on a new target
+        neutralResponseMs: 100,  // Time to ease back to neutral when speech ends
+        maxStepMs: 50            // Largest frame delta used (avoids jumps after tab switches)
+    },
+
+    /**
+     * Adjust smoothing settings
+     */
+    setSettings(settings) {
+        Object.assign(this.settings, settings);
+        console.log('Smoothing settings updated:', this.settings);
+    },
+
+    /**
+     * Response time that settles like an old per-frame lerp factor did at 60Hz
+     * (for callers still passing blend factors)
+     * @param {number} factor - Fraction of the distance covered per frame (0-1)
+     * @returns {number} ms
+     */
+    responseFromLerp(factor) {
+        const f = Math.max(0.001, Math.min(factor, 0.999));
+        const timeConstantMs = -(1000 / 60) / Math.log(1 - f);
+        return 2 * timeConstantMs;
+    }
+};
+
+/**
+ * Per-channel spring velocities
+ * Values stay with the caller; the bank only tracks velocity per key.
+ */
+class SpringBank {
+    constructor() {
+        this.velocities = {};
+    }
+
+    /**
+     * Advance one channel toward its target
+     * @param {string|number} key - Channel identifier
+     * @param {number} current - Current value
+     * @param {number} target - Target value
+     * @param {number} dt - Frame delta in seconds
+     * @param {number} responseMs - Approximate time to reach the target
+     * @returns {number} New value
+     */
+    step(key, current, target, dt, responseMs) {
+        const velocity = this.velocities[key] || 0;
+        const omega = 2 / Math.max(responseMs / 1000, 0.001);
+        const x = omega * dt;
+        const decay = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+
+        const change = current - target;
+        const temp = (velocity + omega * change) * dt;
+
+        this.velocities[key] = (velocity - omega * temp) * decay;
+        return target + (change + temp) * decay;
+    }
+
+    /**
+     * Stop a channel's motion (e.g. after snapping it to a value)
+     */
+    settle(key) {
+        this.velocities[key] = 0;
+    }
+
+    /**
+     * Clear all channel velocities
+     */
+    reset() {
+        this.velocities = {};
+    }
+}
+
+/**
+ * Measures the time between successive updates of one animation path
+ */
+class FrameClock {
+    constructor() {
+        this.lastTime = null;
+    }
+
+    /**
+     * @returns {number} Seconds since the previous tick (clamped to maxStepMs)
+     */
+    tick() {
+        const now = performance.now();
+        const deltaMs = this.lastTime === null ? 1000 / 60 : now - this.lastTime;
+        this.lastTime = now;
+        return Math.max(0, Math.min(deltaMs, Smoothing.settings.maxStepMs)) / 1000;
+    }
+
+    reset() {
+        this.lastTime = null;
+    }
+}
+
+// Make available globally
+window.Smoothing = Smoothing;
+window.SpringBank = SpringBank;
+window.FrameClock = FrameClock;
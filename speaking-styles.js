@@ -0,0 +1,152 @@
+/**
+ * Speaking Styles
+ * Azure voice styles (mstts:express-as) and the face that goes with each
+ *
+ * A reply's style comes from AzureServicesViseme.setSpeakingStyle() - fixed,
+ * or 'auto' to let the LLM pick one per reply with a leading tag:
+ *
+ *   "[cheerful] Great to see you again!"
+ *   "[sad:0.6] I'm sorry to hear that."      (optional style degree, 0.01-2)
+ *
+ * parse() takes the tag off the reply; buildSSML() wraps the text in
+ * <mstts:express-as style styledegree>. While the reply plays, getFace()
+ * gives the avatar a matching baseline on the compositor's 'affect' layer,
+ * scaled by the same degree.
+ *
+ * Not every voice has every style - Azure speaks unsupported styles in the
+ * voice's neutral tone, and most voices ignore styledegree. The face is
+ * applied either way. Add styles with register().
+ */
+
+const SpeakingStyles = {
+    // Style name (Azure) -> { description (for the LLM), face: { channel: value at degree 1 } }
+    styles: {
+        cheerful: {
+            description: 'happy, upbeat',
+            face: { mouthSmileLeft: 0.3, mouthSmileRight: 0.3, cheekSquintLeft: 0.2, cheekSquintRight: 0.2, browInnerUp: 0.1 }
+        },
+        excited: {
+            description: 'enthusiastic, thrilled',
+            face: { mouthSmileLeft: 0.3, mouthSmileRight: 0.3, eyeWideLeft: 0.25, eyeWideRight: 0.25, browOuterUpLeft: 0.25, browOuterUpRight: 0.25 }
+        },
+        friendly: {
+            description: 'warm, pleasant',
+            face: { mouthSmileLeft: 0.18, mouthSmileRight: 0.18, cheekSquintLeft: 0.1, cheekSquintRight: 0.1 }
+        },
+        hopeful: {
+            description: 'optimistic',
+            face: { browInnerUp: 0.2, mouthSmileLeft: 0.12, mouthSmileRight: 0.12 }
+        },
+        empathetic: {
+            description: 'caring, understanding',
+            face: { browInnerUp: 0.35, mouthSmileLeft: 0.08, mouthSmileRight: 0.08, eyeSquintLeft: 0.1, eyeSquintRight: 0.1 }
+        },
+        calm: {
+            description: 'relaxed, reassuring',
+            face: { eyeSquintLeft: 0.12, eyeSquintRight: 0.12, mouthSmileLeft: 0.05, mouthSmileRight: 0.05 }
+        },
+        serious: {
+            description: 'firm, matter-of-fact',
+            face: { browDownLeft: 0.15, browDownRight: 0.15, mouthPressLeft: 0.1, mouthPressRight: 0.1 }
+        },
+        sad: {
+            description: 'downcast, sorrowful',
+            face: { browInnerUp: 0.45, mouthFrownLeft: 0.3, mouthFrownRight: 0.3, eyeLookDownLeft: 0.1, eyeLookDownRight: 0.1 }
+        },
+        angry: {
+            description: 'annoyed, displeased',
+            face: { browDownLeft: 0.45, browDownRight: 0.45, noseSneerLeft: 0.2, noseSneerRight: 0.2, mouthPressLeft: 0.15, mouthPressRight: 0.15 }
+        },
+        whispering: {
+            description: 'soft, confidential',
+            face: { browInnerUp: 0.1, eyeSquintLeft: 0.1, eyeSquintRight: 0.1 }
+        }
+    },
+
+    // Tag for "no style" (the voice's default tone)
+    NEUTRAL: 'neutral',
+
+    // Leading "[style]" or "[style:degree]"
+    TAG: /^\s*\[([a-z_-]+)(?::(\d*\.?\d+))?\]\s*/i,
+
+    // Unfinished leading tag in streamed text ("[chee", "[sad:0.")
+    PARTIAL_TAG: /^\s*\[[a-z_-]*(?::\d*\.?\d*)?$/i,
+
+    /**
+     * Add or replace a style
+     * @param {string} name - Azure style name, e.g. 'newscast'
+     * @param {Object<string, number>} face - Blendshape values at style degree 1
+     * @param {string} [description] - Shown to the LLM in getPromptHint()
+     */
+    register(name, face = {}, description = name) {
+        this.styles[name.toLowerCase()] = { face, description };
+    },
+
+    /**
+     * Whether a style is known (only known styles are taken from LLM tags)
+     */
+    isStyle(name) {
+        return !!name && Object.prototype.hasOwnProperty.call(this.styles, name.toLowerCase());
+    },
+
+    /**
+     * Split a leading style tag off a reply
+     * @param {string} text
+     * @param {boolean} [streaming=false] - Text may end inside the tag
+     * @returns {{style: string|null, degree: number|null, text: string, tagged: boolean, pending: boolean}}
+     *   style is null for [neutral]; pending: the tag isn't complete yet (streaming only), text is ''
+     */
+    parse(text, streaming = false) {
+        const match = text.match(this.TAG);
+        const name = match ? match[1].toLowerCase() : null;
+        if (match && (this.isStyle(name) || name === this.NEUTRAL)) {
+            const degree = match[2] !== undefined ? this.clampDegree(parseFloat(match[2])) : null;
+            const style = name === this.NEUTRAL ? null : name;
+            return { style, degree, text: text.slice(match[0].length), tagged: true, pending: false };
+        }
+        if (streaming && this.PARTIAL_TAG.test(text)) {
+            return { style: null, degree: null, text: '', tagged: false, pending: true };
+        }
+        return { style: null, degree: null, text, tagged: false, pending: false };
+    },
+
+    /**
+     * Azure's styledegree range
+     */
+    clampDegree(degree) {
+        return Math.max(0.01, Math.min(2, degree));
+    },
+
+    /**
+     * Face baseline for a style
+     * @param {string|null} style - null/unknown gives {} (neutral)
+     * @param {number} [degree=1]
+     * @returns {Object<string, number>} Blendshape values
+     */
+    getFace(style, degree = 1) {
+        const entry = style ? this.styles[style.toLowerCase()] : null;
+        if (!entry) return {};
+
+        const face = {};
+        Object.entries(entry.face).forEach(([name, value]) => {
+            face[name] = Math.min(1, value * degree);
+        });
+        return face;
+    },
+
+    /**
+     * System prompt addition describing the available styles
+     */
+    getPromptHint() {
+        const list = Object.entries(this.styles)
+            .map(([name, { description }]) => `${name} (${description})`)
+            .join(', ');
+
+        return 'Start every reply with the tone of voice it should be spoken in, in square brackets, ' +
+            'e.g. "[cheerful] Great to see you!". Add a strength from 0.5 to 2 if needed, e.g. "[sad:0.6]". ' +
+            `Tones: ${list}. Use [neutral] when none fits.`;
+    }
+};
+
+// Make available globally
+window.SpeakingStyles = SpeakingStyles;
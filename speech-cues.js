@@ -0,0 +1,170 @@
+/**
+ * Speech Cues
+ * Inline tags that trigger expressions and gestures at an exact word
+ *
+ *   "That's great <smile/> news"
+ *
+ * Each cue becomes an SSML <bookmark> in buildSSML(). The synthesizer
+ * reports where each bookmark falls in the audio, and AzureServicesViseme
+ * emits a 'cue' event when the playback clock gets there - the same clock
+ * as the visemes, so the smile lands on "news". The app hands cues to
+ * dispatch(), which calls the ExpressionSystem or renderer action.
+ *
+ * Cues are removed from displayed text (strip) and only known names are
+ * treated as cues; anything else stays text. Add cues with register().
+ * getPromptHint() tells the LLM which cues it may use.
+ */
+
+const SpeechCues = {
+    // Cue name -> { action({ expressions, renderer }), description (for the LLM) }
+    cues: {
+        smile: {
+            description: 'smile',
+            action: ({ expressions }) => expressions?.smile()
+        },
+        frown: {
+            description: 'frown (concern, sympathy)',
+            action: ({ expressions }) => expressions?.frown()
+        },
+        surprise: {
+            description: 'raise brows, widen eyes',
+            action: ({ expressions }) => expressions?.showSurprise()
+        },
+        interest: {
+            description: 'lift brows slightly (curious)',
+            action: ({ expressions }) => expressions?.showInterest()
+        },
+        wink: {
+            description: 'wink',
+            action: ({ expressions }) => expressions?.wink()
+        },
+        nod: {
+            description: 'nod (agreement)',
+            action: ({ renderer }) => renderer?.playHeadGesture('nod')
+        },
+        shake: {
+            description: 'shake head (disagreement)',
+            action: ({ renderer }) => renderer?.playHeadGesture('shake')
+        },
+        camera_closeup: {
+            description: 'move the camera in on the face',
+            action: ({ renderer }) => renderer?.setCameraShot('closeup')
+        },
+        camera_wide: {
+            description: 'pull the camera back',
+            action: ({ renderer }) => renderer?.setCameraShot('wide')
+        },
+        camera_default: {
+            description: 'return to the normal camera',
+            action: ({ renderer }) => renderer?.setCameraShot('default')
+        }
+    },
+
+    // <name/> or <name /> - only registered names are cues
+    TAG: /<([a-z_]+)\s*\/>/gi,
+
+    // Unfinished tag at the end of streamed text ("<smi")
+    PARTIAL_TAG: /<[a-z_]*\s*\/?$/i,
+
+    /**
+     * Add or replace a cue
+     * @param {string} name - Tag name, e.g. 'thumbs_up' for <thumbs_up/>
+     * @param {function({expressions: ExpressionSystem, renderer: AvatarRenderer})} action
+     * @param {string} [description] - Shown to the LLM in getPromptHint()
+     */
+    register(name, action, description = name) {
+        this.cues[name.toLowerCase()] = { action, description };
+    },
+
+    /**
+     * Whether a tag name is a registered cue
+     */
+    isCue(name) {
+        return Object.prototype.hasOwnProperty.call(this.cues, name.toLowerCase());
+    },
+
+    /**
+     * Text without cue tags (for display, history and word positions)
+     * @param {string} text
+     * @param {boolean} [streaming=false] - Also hide an unfinished tag at the end
+     */
+    strip(text, streaming = false) {
+        // Drop the tag and the space before it, unless a word follows directly ("great <smile/>news")
+        let result = text.replace(/(\s*)<([a-z_]+)\s*\/>/gi, (tag, space, name, offset, whole) => {
+            if (!this.isCue(name)) return tag;
+            const next = whole[offset + tag.length];
+            return next && !/[\s.,!?;:…]/.test(next) ? space : '';
+        });
+        if (streaming) {
+            result = result.replace(this.PARTIAL_TAG, '');
+        }
+        return result;
+    },
+
+    /**
+     * SSML body for text: XML-escaped, cues as <bookmark mark="name"/>
+     */
+    toSSML(text) {
+        const parts = [];
+        let last = 0;
+        let match;
+
+        this.TAG.lastIndex = 0;
+        while ((match = this.TAG.exec(text)) !== null) {
+            if (!this.isCue(match[1])) continue;
+            parts.push(this.escape(text.slice(last, match.index)));
+            parts.push(`<bookmark mark="${match[1].toLowerCase()}"/>`);
+            last = match.index + match[0].length;
+        }
+        parts.push(this.escape(text.slice(last)));
+
+        return parts.join('');
+    },
+
+    /**
+     * XML-escape plain text
+     */
+    escape(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    },
+
+    /**
+     * Run a cue's action
+     * @param {string} name - Bookmark / cue name
+     * @param {{expressions: ExpressionSystem, renderer: AvatarRenderer}} context
+     * @returns {boolean} Whether the cue exists
+     */
+    dispatch(name, context) {
+        const cue = this.cues[name.toLowerCase()];
+        if (!cue) {
+            console.warn(`SpeechCues: Unknown cue "${name}"`);
+            return false;
+        }
+
+        try {
+            cue.action(context);
+        } catch (error) {
+            console.error(`SpeechCues: Cue "${name}" failed:`, error);
+        }
+        return true;
+    },
+
+    /**
+     * System prompt addition describing the available cues
+     */
+    getPromptHint() {
+        const list = Object.entries(this.cues)
+            .map(([name, { description }]) => `<${name}/> ${description}`)
+            .join('; ');
+
+        return 'You can add nonverbal cues to your replies as self-closing tags placed right ' +
+            'before the word they belong to, e.g. "That\'s great <smile/> news". ' +
+            `Available cues: ${list}. Use them sparingly - at most one or two per reply.`;
+    }
+};
+
+// Make available globally
+window.SpeechCues = SpeechCues;
@@ -0,0 +1,333 @@
+/**
+ * Temporal Filtering
+ * Per-channel filters for blendshape streams (Audio2Face, Azure 3D)
+ *
+ * Source frames (30fps A2F, 60fps Azure) jitter at rest, and the springs in
+ * smoothing.js only ease between whatever targets they are given. Each
+ * incoming frame is filtered per channel before it becomes a spring target:
+ *
+ * - oneEuro        Adaptive low-pass: heavy smoothing at rest, little lag on
+ *                  fast motion (Casiez et al. 2012). Good for the mouth.
+ * - savitzkyGolay  Polynomial fit over the last N samples; keeps peaks sharp.
+ * - ema            Time-based exponential moving average.
+ * - none           Pass through.
+ *
+ * The filter is chosen per channel group (mouth, eyes, brows, ...) in
+ * TemporalFilter.settings.groups, shared by every FilterBank, so the mouth
+ * and eyes can be filtered differently in both lip-sync paths.
+ * More types can be added with TemporalFilter.register().
+ */
+
+/**
+ * Exponential moving average with a time constant (frame-rate independent)
+ */
+class EmaFilter {
+    constructor({ responseMs = 40 } = {}) {
+        this.responseMs = responseMs;
+        this.reset();
+    }
+
+    /**
+     * @param {number} value - Raw sample
+     * @param {number} t - Sample time in seconds
+     * @returns {number} Filtered sample
+     */
+    filter(value, t) {
+        const dt = this.lastTime === null ? 0 : t - this.lastTime;
+        this.lastTime = t;
+
+        if (this.value === null || dt <= 0) {
+            this.value = value;
+            return value;
+        }
+
+        const alpha = 1 - Math.exp(-dt / Math.max(this.responseMs / 1000, 0.001));
+        this.value += (value - this.value) * alpha;
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+        this.lastTime = null;
+    }
+}
+
+/**
+ * One Euro filter - cutoff rises with the signal's speed
+ */
+class OneEuroFilter {
+    constructor({ minCutoff = 3.0, beta = 0.5, dCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;   // Hz at rest (lower = smoother, laggier)
+        this.beta = beta;             // Cutoff increase per unit/s of speed (higher = less lag)
+        this.dCutoff = dCutoff;       // Hz for the speed estimate
+        this.reset();
+    }
+
+    filter(value, t) {
+        const dt = this.lastTime === null ? 0 : t - this.lastTime;
+        this.lastTime = t;
+
+        if (this.value === null || dt <= 0) {
+            this.value = value;
+            this.derivative = 0;
+            return value;
+        }
+
+        const alpha = (cutoff) => {
+            const tau = 1 / (2 * Math.PI * cutoff);
+            return 1 / (1 + tau / dt);
+        };
+
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += (rawDerivative - this.derivative) * alpha(this.dCutoff);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += (value - this.value) * alpha(cutoff);
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTime = null;
+    }
+}
+
+/**
+ * Causal Savitzky-Golay filter - least-squares polynomial through the last
+ * `window` samples, evaluated at the newest one (assumes a steady frame rate)
+ */
+class SavitzkyGolayFilter {
+    constructor({ window = 7, order = 2 } = {}) {
+        this.window = Math.max(2, Math.round(window));
+        this.order = Math.max(0, Math.round(order));
+        this.reset();
+    }
+
+    filter(value, t) {
+        this.samples.push(value);
+        if (this.samples.length > this.window) {
+            this.samples.shift();
+        }
+
+        const weights = SavitzkyGolayFilter.weights(this.samples.length, this.order);
+        let result = 0;
+        for (let i = 0; i < weights.length; i++) {
+            result += weights[i] * this.samples[i];
+        }
+        return result;
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    /**
+     * Endpoint weights for n samples and a polynomial order (cached)
+     * Samples sit at x = -(n-1)..0; the fit's value at x = 0 is
+     * e0 · (AᵀA)⁻¹ Aᵀ y, so the weights are A (AᵀA)⁻¹ e0.
+     */
+    static weights(n, order) {
+        const key = `${n}:${order}`;
+        const cache = SavitzkyGolayFilter.cache;
+        if (cache[key]) return cache[key];
+
+        const degree = Math.min(order, n - 1);
+        const size = degree + 1;
+        const xs = Array.from({ length: n }, (_, i) => i - (n - 1));
+
+        // Normal matrix AᵀA augmented with e0
+        const m = Array.from({ length: size }, (_, r) =>
+            Array.from({ length: size + 1 }, (_, c) =>
+                c === size ? (r === 0 ? 1 : 0) : xs.reduce((sum, x) => sum + Math.pow(x, r + c), 0)));
+
+        // Gauss-Jordan elimination with partial pivoting
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < size; r++) {
+                if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+            }
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+
+            for (let r = 0; r < size; r++) {
+                if (r === col) continue;
+                const factor = m[r][col] / m[col][col];
+                for (let c = col; c <= size; c++) {
+                    m[r][c] -= factor * m[col][c];
+                }
+            }
+        }
+        const z = m.map((row, r) => row[size] / row[r]);
+
+        const weights = xs.map(x => z.reduce((sum, zk, k) => sum + zk * Math.pow(x, k), 0));
+        cache[key] = weights;
+        return weights;
+    }
+}
+SavitzkyGolayFilter.cache = {};
+
+const TemporalFilter = {
+    settings: {
+        enabled: true,
+
+        // Channel group -> filter spec ({ type, ...parameters })
+        groups: {
+            mouth: { type: 'oneEuro', minCutoff: 3.0, beta: 0.5, dCutoff: 1.0 },
+            jaw: { type: 'oneEuro', minCutoff: 3.0, beta: 0.5, dCutoff: 1.0 },
+            tongue: { type: 'oneEuro', minCutoff: 3.0, beta: 0.5, dCutoff: 1.0 },
+            eyes: { type: 'oneEuro', minCutoff: 1.0, beta: 0.2, dCutoff: 1.0 },
+            blink: { type: 'none' },                          // Blinks are fast - never delay them
+            brows: { type: 'savitzkyGolay', window: 7, order: 2 },
+            cheeks: { type: 'ema', responseMs: 50 },
+            nose: { type: 'ema', responseMs: 50 },
+            bones: { type: 'ema', responseMs: 80 },
+            other: { type: 'ema', responseMs: 40 }
+        }
+    },
+
+    // ARKit channel groups, matched in order
+    GROUPS: [
+        ['bones', /Roll$/],                               // headRoll, leftEyeRoll, rightEyeRoll
+        ['blink', /^eyeBlink|^eyesClosed/],
+        ['eyes', /^eye/],
+        ['brows', /^brow/],
+        ['tongue', /^tongue/],
+        ['jaw', /^jaw/],
+        ['mouth', /^mouth/],
+        ['cheeks', /^cheek/],
+        ['nose', /^nose/]
+    ],
+
+    // Filter type -> class with filter(value, t) and reset()
+    types: {
+        ema: EmaFilter,
+        oneEuro: OneEuroFilter,
+        savitzkyGolay: SavitzkyGolayFilter
+    },
+
+    // Default parameters when a spec only names its type
+    DEFAULTS: {
+        ema: { responseMs: 40 },
+        oneEuro: { minCutoff: 3.0, beta: 0.5, dCutoff: 1.0 },
+        savitzkyGolay: { window: 7, order: 2 }
+    },
+
+    // ARKit name -> group (cached)
+    groupCache: {},
+
+    /**
+     * Add a filter type
+     * @param {string} type - Name used in specs
+     * @param {Function} FilterClass - Constructed with the spec, must implement filter(value, t) and reset()
+     * @param {Object} [defaults] - Default parameters
+     */
+    register(type, FilterClass, defaults = {}) {
+        this.types[type] = FilterClass;
+        this.DEFAULTS[type] = defaults;
+    },
+
+    /**
+     * Channel group of an ARKit channel name
+     */
+    groupOf(name) {
+        if (!this.groupCache[name]) {
+            const match = this.GROUPS.find(([, pattern]) => pattern.test(name));
+            this.groupCache[name] = match ? match[0] : 'other';
+        }
+        return this.groupCache[name];
+    },
+
+    /**
+     * Filter spec for a channel (the spec object's identity changes whenever it is replaced)
+     */
+    getSpec(name) {
+        return this.settings.groups[this.groupOf(name)] || this.settings.groups.other;
+    },
+
+    /**
+     * Build a filter from a spec
+     * @returns {Object|null} Filter instance, or null for 'none'
+     */
+    create(spec) {
+        const FilterClass = spec && this.types[spec.type];
+        if (!FilterClass) return null;
+        return new FilterClass({ ...this.DEFAULTS[spec.type], ...spec });
+    },
+
+    /**
+     * Choose the filter for one channel group
+     * @param {string} group - e.g. 'mouth', 'eyes', 'brows'
+     * @param {string|Object} spec - Type name or { type, ...parameters }
+     */
+    setGroupFilter(group, spec) {
+        const resolved = typeof spec === 'string' ? { type: spec } : { ...spec };
+        if (resolved.type !== 'none' && !this.types[resolved.type]) {
+            console.warn(`TemporalFilter: Unknown filter type "${resolved.type}"`);
+            return;
+        }
+        this.settings.groups[group] = { ...this.DEFAULTS[resolved.type], ...resolved };
+        console.log(`TemporalFilter: ${group} -> ${resolved.type}`, this.settings.groups[group]);
+    },
+
+    /**
+     * Adjust filter settings (groups are merged, not replaced)
+     */
+    setSettings(settings) {
+        const { groups, ...rest } = settings;
+        Object.assign(this.settings, rest);
+        Object.entries(groups || {}).forEach(([group, spec]) => this.setGroupFilter(group, spec));
+        console.log('TemporalFilter settings updated:', this.settings);
+    }
+};
+
+/**
+ * Per-channel filter state for one stream
+ * Each lip-sync path owns a bank; filters are rebuilt when their group's spec changes.
+ */
+class FilterBank {
+    constructor() {
+        this.channels = {};   // name -> { spec, filter }
+    }
+
+    /**
+     * Filter one channel sample
+     * @param {string} name - ARKit channel name
+     * @param {number} value - Raw sample
+     * @param {number} t - Source timestamp in seconds
+     */
+    filterChannel(name, value, t) {
+        if (!TemporalFilter.settings.enabled) return value;
+
+        const spec = TemporalFilter.getSpec(name);
+        let channel = this.channels[name];
+        if (!channel || channel.spec !== spec) {
+            channel = this.channels[name] = { spec, filter: TemporalFilter.create(spec) };
+        }
+        return channel.filter ? channel.filter.filter(value, t) : value;
+    }
+
+    /**
+     * Filter a whole frame
+     * @param {number[]} values - Raw samples, indexed like names
+     * @param {string[]} names - ARKit channel names
+     * @param {number} t - Source timestamp in seconds
+     * @returns {number[]} Filtered samples
+     */
+    process(values, names, t) {
+        return names.map((name, i) => this.filterChannel(name, values[i] || 0, t));
+    }
+
+    /**
+     * Forget all history (call when a new utterance starts)
+     */
+    reset() {
+        Object.values(this.channels).forEach(({ filter }) => filter?.reset());
+    }
+}
+
+// Make available globally
+window.TemporalFilter = TemporalFilter;
+window.FilterBank = FilterBank;
+window.EmaFilter = EmaFilter;
+window.OneEuroFilter = OneEuroFilter;
+window.SavitzkyGolayFilter = SavitzkyGolayFilter;
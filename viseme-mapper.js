@@ -6,63 +6,211 @@
  * - Smoother viseme transitions (blend factor 0.15, intensity 0.8)
  * - Teeth mesh synchronization
  * - Jaw correction support
+ *
+ * Coarticulation (see coarticulation.js):
+ * - blendCoarticulated() mixes neighbouring visemes by dominance
+ *
+ * Mapping profiles:
+ * - Per-avatar JSON profiles map each Azure viseme ID to a weighted
+ *   mix of morph targets, e.g. { "viseme_aa": 0.6, "jawOpen": 0.3 }
+ * - IDs missing from a profile fall back to AZURE_TO_OCULUS
+ *
+ * Diphthongs (IDs 8-11):
+ * - Glide from the start vowel to the end vowel across the viseme's
+ *   duration instead of holding one static shape
+ * - A profile entry for the ID holds that shape instead (the glide already
+ *   uses the profile's own start and end vowels)
+ *
+ * ARKit synthesis:
+ * - Models with only the 52 ARKit blendshapes (Ready Player Me, Apple-style
+ *   rigs) have each Oculus viseme rebuilt from an ARKit pose (OCULUS_TO_ARKIT)
+ *
+ * Tongue:
+ * - TH/DD (17/19) push the tip forward, l (14) lifts the tip, k/g (20)
+ *   raises the back; poses ride the same weights and springs as the lips
+ * - Each pose uses a tongue morph target if the model has one, else the tongue bone
+ *
+ * Lip closure:
+ * - PP (21, p/b/m) and FF (18, f/v) always reach a minimum closure weight
+ *   for minHoldMs, borrowing time from the neighbouring transitions
+ *
+ * Layers (see morph-compositor.js):
+ * - With a compositor attached, influences go to its lipsync layer instead
+ *   of the meshes, so blinks and expressions blend with the mouth
+ *
+ * Jaw bone (see jaw-bone.js):
+ * - Rigs without a jawOpen morph open the mouth by rotating their jaw bone;
+ *   openness comes from the jawOpen share of each viseme's ARKit pose
+ *
+ * Smoothing (see smoothing.js):
+ * - Critically damped springs advanced by real frame time, so transitions
+ *   look the same at 60Hz and 120Hz
+ *
+ * Instances:
+ * - Each AvatarRenderer owns its own mapper, so several avatars can share a
+ *   page without overwriting each other's mesh mappings or spring state
  */
 
-const VisemeMapper = {
-    // Azure Viseme ID to Oculus viseme name mapping
-    AZURE_TO_OCULUS: {
-        0: 'viseme_sil',    // Silence
-        1: 'viseme_aa',     // æ, ə, ʌ
-        2: 'viseme_aa',     // ɑ
-        3: 'viseme_O',      // ɔ
-        4: 'viseme_E',      // ɛ, ʊ
-        5: 'viseme_E',      // ɝ
-        6: 'viseme_I',      // j, ɪ, i
-        7: 'viseme_U',      // w, ʊ
-        8: 'viseme_O',      // oʊ
-        9: 'viseme_aa',     // aʊ
-        10: 'viseme_O',     // ɔɪ
-        11: 'viseme_aa',    // aɪ
-        12: 'viseme_RR',    // h
-        13: 'viseme_RR',    // ɹ
-        14: 'viseme_nn',    // l
-        15: 'viseme_SS',    // s, z
-        16: 'viseme_CH',    // ʃ, tʃ, dʒ, ʒ
-        17: 'viseme_TH',    // ð
-        18: 'viseme_FF',    // f, v
-        19: 'viseme_DD',    // d, t, n, θ
-        20: 'viseme_kk',    // k, g, ŋ
-        21: 'viseme_PP',    // p, b, m
-    },
-
-    // All Oculus visemes
-    OCULUS_VISEMES: [
-        'viseme_sil', 'viseme_PP', 'viseme_FF', 'viseme_TH', 'viseme_DD',
-        'viseme_kk', 'viseme_CH', 'viseme_SS', 'viseme_nn', 'viseme_RR',
-        'viseme_aa', 'viseme_E', 'viseme_I', 'viseme_O', 'viseme_U'
-    ],
-
-    // Jaw-related morph targets to sync
-    JAW_TARGETS: ['jawOpen', 'jawForward', 'jawLeft', 'jawRight', 'mouthOpen'],
-
-    // Correction settings
-    corrections: {
-        jawForwardDampen: 0.3,
-        jawBackwardBias: 0.05,
-        teethSync: true
-    },
-
-    // Cache for mesh data
-    meshMappings: new Map(),
-
-    // Specific mesh references
-    headMesh: null,
-    teethMesh: null,
-    tongueMesh: null,
-
-    // Current state
-    currentViseme: null,
-    targetInfluences: {},
+class VisemeMapper {
+    constructor() {
+        // Azure Viseme ID to Oculus viseme name mapping
+        this.AZURE_TO_OCULUS = {
+            0: 'viseme_sil',    // Silence
+            1: 'viseme_aa',     // æ, ə, ʌ
+            2: 'viseme_aa',     // ɑ
+            3: 'viseme_O',      // ɔ
+            4: 'viseme_E',      // ɛ, ʊ
+            5: 'viseme_E',      // ɝ
+            6: 'viseme_I',      // j, ɪ, i
+            7: 'viseme_U',      // w, ʊ
+            8: 'viseme_O',      // oʊ
+            9: 'viseme_aa',     // aʊ
+            10: 'viseme_O',     // ɔɪ
+            11: 'viseme_aa',    // aɪ
+            12: 'viseme_RR',    // h
+            13: 'viseme_RR',    // ɹ
+            14: 'viseme_nn',    // l
+            15: 'viseme_SS',    // s, z
+            16: 'viseme_CH',    // ʃ, tʃ, dʒ, ʒ
+            17: 'viseme_TH',    // ð
+            18: 'viseme_FF',    // f, v
+            19: 'viseme_DD',    // d, t, n, θ
+            20: 'viseme_kk',    // k, g, ŋ
+            21: 'viseme_PP',    // p, b, m
+        };
+
+        // All Oculus visemes
+        this.OCULUS_VISEMES = [
+            'viseme_sil', 'viseme_PP', 'viseme_FF', 'viseme_TH', 'viseme_DD',
+            'viseme_kk', 'viseme_CH', 'viseme_SS', 'viseme_nn', 'viseme_RR',
+            'viseme_aa', 'viseme_E', 'viseme_I', 'viseme_O', 'viseme_U'
+        ];
+
+        // ARKit poses used when a model has no Oculus viseme morph targets
+        this.OCULUS_TO_ARKIT = {
+            viseme_sil: {},
+            viseme_PP: { mouthClose: 0.4, mouthPressLeft: 0.5, mouthPressRight: 0.5, mouthRollLower: 0.2, mouthRollUpper: 0.15 },
+            viseme_FF: { mouthRollLower: 0.6, mouthUpperUpLeft: 0.25, mouthUpperUpRight: 0.25, mouthPressLeft: 0.15, mouthPressRight: 0.15 },
+            viseme_TH: { jawOpen: 0.15, tongueOut: 0.3, mouthUpperUpLeft: 0.1, mouthUpperUpRight: 0.1 },
+            viseme_DD: { jawOpen: 0.2, mouthStretchLeft: 0.15, mouthStretchRight: 0.15, mouthShrugUpper: 0.1 },
+            viseme_kk: { jawOpen: 0.25, mouthStretchLeft: 0.2, mouthStretchRight: 0.2 },
+            viseme_CH: { jawOpen: 0.15, mouthFunnel: 0.5, mouthPucker: 0.3, mouthShrugUpper: 0.2 },
+            viseme_SS: { jawOpen: 0.08, mouthStretchLeft: 0.3, mouthStretchRight: 0.3, mouthShrugLower: 0.1 },
+            viseme_nn: { jawOpen: 0.15, mouthStretchLeft: 0.1, mouthStretchRight: 0.1, mouthShrugUpper: 0.1 },
+            viseme_RR: { jawOpen: 0.15, mouthFunnel: 0.3, mouthPucker: 0.2 },
+            viseme_aa: { jawOpen: 0.6, mouthLowerDownLeft: 0.3, mouthLowerDownRight: 0.3, mouthUpperUpLeft: 0.1, mouthUpperUpRight: 0.1 },
+            viseme_E:  { jawOpen: 0.35, mouthStretchLeft: 0.3, mouthStretchRight: 0.3, mouthLowerDownLeft: 0.2, mouthLowerDownRight: 0.2 },
+            viseme_I:  { jawOpen: 0.2, mouthStretchLeft: 0.35, mouthStretchRight: 0.35, mouthDimpleLeft: 0.15, mouthDimpleRight: 0.15 },
+            viseme_O:  { jawOpen: 0.4, mouthFunnel: 0.6, mouthPucker: 0.2 },
+            viseme_U:  { jawOpen: 0.15, mouthPucker: 0.7, mouthFunnel: 0.4 }
+        };
+
+        // Tongue pose per Azure viseme ID
+        this.TONGUE_VISEMES = {
+            14: 'tipUp',         // l
+            17: 'tipForward',    // ð
+            19: 'tipForward',    // d, t, n, θ
+            20: 'backRaise',     // k, g, ŋ
+        };
+
+        // Tongue poses: candidate morph targets on the tongue mesh (first match wins)
+        // and a rotation delta (radians) for a tongue bone when no morph matches
+        this.TONGUE_POSES = {
+            tipForward: {
+                morphs: [['tongueTipForward', 1.0], ['tongueForward', 1.0], ['Tongue_Out', 0.35], ['tongueOut', 0.35]],
+                bone: { x: -0.05, y: 0, z: 0 }
+            },
+            tipUp: {
+                morphs: [['tongueTipUp', 1.0], ['tongueUp', 1.0], ['Tongue_Up', 1.0], ['tongueRaise', 1.0]],
+                bone: { x: -0.3, y: 0, z: 0 }
+            },
+            backRaise: {
+                morphs: [['tongueBackUp', 1.0], ['tongueBackRaise', 1.0], ['Tongue_Back_Up', 1.0]],
+                bone: { x: 0.15, y: 0, z: 0 }
+            }
+        };
+
+        // Tongue channels in targetInfluences are prefixed so they never match a morph name
+        this.TONGUE_CHANNEL_PREFIX = 'tongue:';
+
+        // Diphthong glides: Azure viseme ID -> [start vowel ID, end vowel ID]
+        // Endpoints are resolved through getVisemeMix, so mapping profiles apply to them
+        this.DIPHTHONG_GLIDES = {
+            8: [3, 7],     // oʊ: viseme_O -> viseme_U
+            9: [2, 7],     // aʊ: viseme_aa -> viseme_U
+            10: [3, 6],    // ɔɪ: viseme_O -> viseme_I
+            11: [2, 6],    // aɪ: viseme_aa -> viseme_I
+        };
+
+        // Glide timing (fractions of the diphthong's duration)
+        this.diphthongSettings = {
+            enabled: true,
+            holdStart: 0.2,           // Hold the start vowel for the first 20%
+            reachEnd: 0.9,            // Arrive at the end vowel by 90%
+            defaultDurationMs: 180    // Used until the next viseme's audioOffset is known
+        };
+
+        // Visemes whose lips must visibly meet (bilabial) or touch the teeth (labiodental)
+        this.CLOSURE_VISEMES = [21, 18];
+
+        // Closure enforcement: short PP/FF segments are stretched to minHoldMs,
+        // centred on the segment, and approached with a fast spring
+        this.closureSettings = {
+            enabled: true,
+            minWeight: 0.85,      // Closure share of the mix while held (and influence floor)
+            minHoldMs: 60,        // Shortest time the closure is held
+            approachMs: 40        // Lead-in before the hold; the spring settles in half of this
+        };
+
+        // Closure window around the playhead (set by updateClosure, null = none)
+        this.activeClosure = null;
+
+        // Jaw-related morph targets to sync
+        this.JAW_TARGETS = ['jawOpen', 'jawForward', 'jawLeft', 'jawRight', 'mouthOpen'];
+
+        // Correction settings
+        this.corrections = {
+            jawForwardDampen: 0.3,
+            jawBackwardBias: 0.05,
+            teethSync: true
+        };
+
+        // Cache for mesh data
+        this.meshMappings = new Map();
+
+        // Specific mesh references
+        this.headMesh = null;
+        this.teethMesh = null;
+        this.tongueMesh = null;
+        this.tongueBone = null;
+
+        // Resolved tongue rig: { morphs: { pose: [[index, weight]] }, bone, rest } (null = no tongue)
+        this.tongueRig = null;
+
+        // Avatar's JawBoneDriver (set by AvatarRenderer, null = morphs only)
+        this.jawBone = null;
+
+        // Avatar's MorphCompositor (set by AvatarRenderer, null = write meshes directly)
+        this.compositor = null;
+        this.LAYER = 'lipsync';
+
+        // True when the model lacks Oculus visemes and poses are rebuilt from ARKit shapes
+        this.useArkitSynthesis = false;
+
+        // Active mapping profile (null = built-in AZURE_TO_OCULUS table)
+        this.profile = null;
+
+        // Every morph target name the mapper writes (Oculus visemes + profile targets)
+        this.controlledTargets = [];
+
+        // Current state
+        this.currentViseme = null;
+        this.targetInfluences = {};
+
+        // Time-based smoothing state (smoothing.js loads first)
+        this.springs = new SpringBank();
+        this.clock = new FrameClock();
+    }
 
     /**
      * Initialize mapper with a loaded GLTF model
@@ -72,8 +220,18 @@ const VisemeMapper = {
         this.headMesh = null;
         this.teethMesh = null;
         this.tongueMesh = null;
+        this.tongueBone = null;
+
+        const arkitNames = this._getArkitPoseTargets();
+        let foundOculus = false;
+        let foundArkit = false;
 
         gltfScene.traverse((node) => {
+            if (node.isBone && !this.tongueBone && node.name.toLowerCase().includes('tongue')) {
+                this.tongueBone = node;
+                console.log(`VisemeMapper: Found tongue bone ${node.name}`);
+            }
+
             if (node.isMesh && node.morphTargetDictionary) {
                 // Enable morph targets on material
                 if (node.material) {
@@ -83,16 +241,8 @@ const VisemeMapper = {
                 }
 
                 const dictionary = node.morphTargetDictionary;
-                const visemeIndices = {};
                 const jawIndices = {};
 
-                // Find viseme indices
-                this.OCULUS_VISEMES.forEach(visemeName => {
-                    if (dictionary.hasOwnProperty(visemeName)) {
-                        visemeIndices[visemeName] = dictionary[visemeName];
-                    }
-                });
-
                 // Find jaw indices
                 this.JAW_TARGETS.forEach(jawName => {
                     if (dictionary.hasOwnProperty(jawName)) {
@@ -113,82 +263,479 @@ const VisemeMapper = {
                     console.log('VisemeMapper: Found Tongue_Mesh');
                 }
 
-                if (Object.keys(visemeIndices).length > 0 || Object.keys(jawIndices).length > 0) {
+                const hasVisemes = this.OCULUS_VISEMES.some(v => dictionary.hasOwnProperty(v));
+                const hasArkit = arkitNames.some(name => dictionary.hasOwnProperty(name));
+                foundOculus = foundOculus || hasVisemes;
+                foundArkit = foundArkit || hasArkit;
+
+                if (hasVisemes || hasArkit || Object.keys(jawIndices).length > 0) {
                     this.meshMappings.set(node, {
-                        visemeIndices,
+                        dictionary,
+                        targetIndices: {},
                         jawIndices,
-                        influences: node.morphTargetInfluences
+                        influences: this._getInfluences(node)
                     });
-                    console.log(`VisemeMapper: ${node.name} - ${Object.keys(visemeIndices).length} visemes, ${Object.keys(jawIndices).length} jaw targets`);
                 }
             }
         });
 
-        // Initialize target influences
-        this.OCULUS_VISEMES.forEach(v => this.targetInfluences[v] = 0);
+        // No Oculus visemes anywhere: synthesize them from ARKit blendshapes
+        this.useArkitSynthesis = !foundOculus && foundArkit;
+        if (this.useArkitSynthesis) {
+            console.log('VisemeMapper: No Oculus visemes found - synthesizing visemes from ARKit blendshapes');
+        }
+
+        this._indexTargets();
+
+        this.meshMappings.forEach((meshData, mesh) => {
+            console.log(`VisemeMapper: ${mesh.name} - ${Object.keys(meshData.targetIndices).length} targets, ${Object.keys(meshData.jawIndices).length} jaw targets`);
+        });
 
         console.log(`VisemeMapper initialized with ${this.meshMappings.size} meshes`);
         return this.meshMappings.size > 0;
-    },
+    }
+
+    /**
+     * Internal: Resolve morph indices for every controlled target on every mesh
+     * Re-run whenever the model or the mapping profile changes
+     */
+    _indexTargets() {
+        const names = new Set(this.OCULUS_VISEMES);
+        if (this.profile) {
+            Object.values(this.profile.visemes).forEach(mix => {
+                Object.keys(mix).forEach(name => names.add(name));
+            });
+        }
+        if (this.useArkitSynthesis) {
+            this._getArkitPoseTargets().forEach(name => names.add(name));
+        }
+
+        // Morph names already driven as lip targets can't also be tongue pose morphs
+        this.tongueRig = this._resolveTongueRig(names);
+        if (this.tongueRig) {
+            Object.keys(this.TONGUE_POSES).forEach(pose => names.add(this.TONGUE_CHANNEL_PREFIX + pose));
+        }
+
+        this.controlledTargets = Array.from(names);
+
+        this.meshMappings.forEach((meshData) => {
+            const { dictionary } = meshData;
+            meshData.targetIndices = {};
+            this.controlledTargets.forEach(name => {
+                if (dictionary.hasOwnProperty(name)) {
+                    meshData.targetIndices[name] = dictionary[name];
+                }
+            });
+        });
+
+        this.targetInfluences = {};
+        this.controlledTargets.forEach(name => this.targetInfluences[name] = 0);
+    }
+
+    /**
+     * Internal: Find tongue morph targets (preferred) or a tongue bone for each pose
+     * Poses without a morph fall back to the bone, if there is one.
+     * @param {Set<string>} lipTargets - Morph names already controlled as lip targets
+     */
+    _resolveTongueRig(lipTargets) {
+        const dictionary = this.tongueMesh?.morphTargetDictionary;
+        const morphs = {};
+        let morphCount = 0;
+
+        if (dictionary) {
+            for (const [pose, { morphs: candidates }] of Object.entries(this.TONGUE_POSES)) {
+                const match = candidates.find(([name]) => dictionary.hasOwnProperty(name) && !lipTargets.has(name));
+                if (match) {
+                    morphs[pose] = [[dictionary[match[0]], match[1]]];
+                    morphCount++;
+                }
+            }
+        }
+
+        if (morphCount > 0) {
+            console.log(`VisemeMapper: Tongue driven by ${morphCount} morph targets on ${this.tongueMesh.name}`);
+        }
+
+        const poseCount = Object.keys(this.TONGUE_POSES).length;
+        if (this.tongueBone && morphCount < poseCount) {
+            const { x, y, z } = this.tongueBone.rotation;
+            console.log(`VisemeMapper: Tongue driven by bone ${this.tongueBone.name} for ${poseCount - morphCount} poses`);
+            return { morphs, bone: this.tongueBone, rest: { x, y, z } };
+        }
+
+        return morphCount > 0 ? { morphs, bone: null, rest: null } : null;
+    }
+
+    /**
+     * Get the weighted morph target mix for an Azure viseme ID
+     * @returns {Object<string, number>|null} Target name -> weight (0-1)
+     */
+    getVisemeMix(visemeId, progress = null) {
+        if (progress !== null && this.isDiphthong(visemeId)) {
+            return this._getGlideMix(this.DIPHTHONG_GLIDES[visemeId], progress);
+        }
+
+        let mix = this.profile?.visemes[visemeId];
+        if (!mix) {
+            const visemeName = this.AZURE_TO_OCULUS[visemeId];
+            if (!visemeName) return null;
+            mix = { [visemeName]: 1.0 };
+        }
+
+        if (this.useArkitSynthesis) {
+            mix = this._toArkitMix(mix);
+        }
+
+        // Tongue pose rides along with the lip shapes
+        const tonguePose = this.TONGUE_VISEMES[visemeId];
+        if (this.tongueRig && tonguePose) {
+            mix = { ...mix, [this.TONGUE_CHANNEL_PREFIX + tonguePose]: 1.0 };
+        }
+
+        return mix;
+    }
+
+    /**
+     * Internal: Replace Oculus viseme names in a mix with their ARKit poses
+     * Non-viseme targets (e.g. jawOpen from a profile) pass through unchanged
+     */
+    _toArkitMix(mix) {
+        const arkitMix = {};
+        for (const [name, weight] of Object.entries(mix)) {
+            const pose = this.OCULUS_TO_ARKIT[name];
+            if (!pose) {
+                arkitMix[name] = (arkitMix[name] || 0) + weight;
+                continue;
+            }
+            for (const [shape, shapeWeight] of Object.entries(pose)) {
+                arkitMix[shape] = (arkitMix[shape] || 0) + weight * shapeWeight;
+            }
+        }
+        return arkitMix;
+    }
+
+    /**
+     * Internal: All ARKit blendshape names used by OCULUS_TO_ARKIT
+     */
+    _getArkitPoseTargets() {
+        const names = new Set();
+        Object.values(this.OCULUS_TO_ARKIT).forEach(pose => {
+            Object.keys(pose).forEach(name => names.add(name));
+        });
+        return Array.from(names);
+    }
+
+    /**
+     * Internal: Mix between a diphthong's start and end vowels
+     * @param {number[]} glide - [start vowel ID, end vowel ID]
+     * @param {number} progress - Position within the diphthong (0-1)
+     */
+    _getGlideMix([startId, endId], progress) {
+        const { holdStart, reachEnd } = this.diphthongSettings;
+        const t = Math.max(0, Math.min(1, (progress - holdStart) / Math.max(reachEnd - holdStart, 0.001)));
+        const g = t * t * (3 - 2 * t);  // smoothstep
+
+        const mix = {};
+        for (const [name, weight] of Object.entries(this.getVisemeMix(startId))) {
+            mix[name] = (mix[name] || 0) + weight * (1 - g);
+        }
+        for (const [name, weight] of Object.entries(this.getVisemeMix(endId))) {
+            mix[name] = (mix[name] || 0) + weight * g;
+        }
+        return mix;
+    }
+
+    /**
+     * Get how far playback is through queue entry `index` (0-1)
+     * The entry ends at the next viseme's audioOffset
+     */
+    getVisemeProgress(queue, index, elapsed) {
+        const entry = queue[index];
+        if (!entry) return 0;
+
+        const next = queue[index + 1];
+        const end = next ? next.audioOffset : entry.audioOffset + this.diphthongSettings.defaultDurationMs;
+        const duration = end - entry.audioOffset;
+        if (duration <= 0) return 1;
+
+        return Math.max(0, Math.min(1, (elapsed - entry.audioOffset) / duration));
+    }
+
+    /**
+     * Find a PP/FF closure whose enforcement window covers the playhead
+     * Call once per frame before blending; the next blends honour the result.
+     * @param {Array<{visemeId: number, audioOffset: number}>} queue - Viseme timeline (ms)
+     * @param {number} index - Index of the most recently reached viseme (-1 if none yet)
+     * @param {number} elapsed - Current playback time in ms
+     * @returns {Object|null} { visemeId, mix, holdStart, holdEnd, holding }
+     */
+    updateClosure(queue, index, elapsed) {
+        this.activeClosure = null;
+
+        const { enabled, minHoldMs, approachMs } = this.closureSettings;
+        if (!enabled) return null;
+
+        // Scan from just behind the playhead to the end of the enforcement horizon
+        for (let j = Math.max(index - 1, 0); j < queue.length; j++) {
+            const entry = queue[j];
+            if (entry.audioOffset > elapsed + approachMs + minHoldMs) break;
+            if (!this.CLOSURE_VISEMES.includes(entry.visemeId)) continue;
+
+            const next = queue[j + 1];
+            const end = next ? Math.max(next.audioOffset, entry.audioOffset) : entry.audioOffset + minHoldMs;
+            const duration = end - entry.audioOffset;
+            const hold = Math.max(duration, minHoldMs);
+
+            // Stretch evenly into both neighbours
+            const holdStart = entry.audioOffset - (hold - duration) / 2;
+            const holdEnd = holdStart + hold;
+
+            if (elapsed >= holdStart - approachMs && elapsed <= holdEnd) {
+                const mix = this.getVisemeMix(entry.visemeId);
+                if (!mix) continue;
+
+                this.activeClosure = {
+                    visemeId: entry.visemeId,
+                    mix,
+                    holdStart,
+                    holdEnd,
+                    holding: elapsed >= holdStart
+                };
+                return this.activeClosure;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Internal: Pull targets toward the active closure pose
+     * The closure is not scaled by viseme intensity - the lips must meet regardless
+     */
+    _applyClosureTargets(targets) {
+        const { minWeight } = this.closureSettings;
+        const result = {};
+
+        for (const [name, weight] of Object.entries(targets)) {
+            result[name] = weight * (1 - minWeight);
+        }
+        for (const [name, weight] of Object.entries(this.activeClosure.mix)) {
+            result[name] = (result[name] || 0) + weight * minWeight;
+        }
+        return result;
+    }
+
+    /**
+     * Check whether an Azure viseme ID is a diphthong that glides (not overridden by the profile)
+     */
+    isDiphthong(visemeId) {
+        return this.diphthongSettings.enabled && this.DIPHTHONG_GLIDES[visemeId] !== undefined &&
+            !this.profile?.visemes[visemeId];
+    }
+
+    /**
+     * Activate a mapping profile
+     * @param {Object} profile - { name, visemes: { "<azureId>": { "<morphTarget>": weight } } }
+     */
+    setProfile(profile) {
+        if (!profile || typeof profile.visemes !== 'object') {
+            throw new Error('Viseme profile must have a "visemes" object');
+        }
+
+        const visemes = {};
+        for (const [id, mix] of Object.entries(profile.visemes)) {
+            const visemeId = parseInt(id);
+            if (!(visemeId >= 0 && visemeId <= 21)) {
+                console.warn(`VisemeMapper: Ignoring unknown viseme ID "${id}" in profile`);
+                continue;
+            }
+
+            const weights = {};
+            for (const [name, weight] of Object.entries(mix || {})) {
+                if (typeof weight !== 'number' || !isFinite(weight)) {
+                    console.warn(`VisemeMapper: Ignoring non-numeric weight for ${name} on viseme ${id}`);
+                    continue;
+                }
+                weights[name] = Math.max(0, Math.min(1, weight));
+            }
+            visemes[visemeId] = weights;
+        }
+
+        this.reset();
+        this.profile = { name: profile.name || 'Custom', visemes };
+        this._indexTargets();
+
+        console.log(`VisemeMapper: Profile "${this.profile.name}" active (${Object.keys(visemes).length} viseme overrides, ${this.controlledTargets.length} targets)`);
+    }
+
+    /**
+     * Load a mapping profile from a JSON URL
+     */
+    async loadProfile(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load viseme profile ${url}: HTTP ${response.status}`);
+        }
+        this.setProfile(await response.json());
+        return this.profile;
+    }
+
+    /**
+     * Return to the built-in AZURE_TO_OCULUS table
+     */
+    clearProfile() {
+        this.reset();
+        this.profile = null;
+        this._indexTargets();
+        console.log('VisemeMapper: Using built-in viseme table');
+    }
 
     /**
      * Apply a viseme by Azure ID (0-21)
      */
     applyVisemeById(visemeId, intensity = 1.0) {
-        const visemeName = this.AZURE_TO_OCULUS[visemeId];
-        if (!visemeName) {
+        const mix = this.getVisemeMix(visemeId);
+        if (!mix) {
             console.warn('Unknown viseme ID:', visemeId);
             return;
         }
-        this.applyViseme(visemeName, intensity);
-    },
+
+        // Reset all targets
+        this.controlledTargets.forEach(name => this.targetInfluences[name] = 0);
+        for (const [name, weight] of Object.entries(mix)) {
+            this.targetInfluences[name] = weight * intensity;
+        }
+
+        this._applyToMeshes();
+        this.currentViseme = this.AZURE_TO_OCULUS[visemeId];
+    }
 
     /**
      * Apply a viseme by name
      */
     applyViseme(visemeName, intensity = 1.0) {
-        // Reset all visemes
-        this.OCULUS_VISEMES.forEach(v => this.targetInfluences[v] = 0);
+        // Reset all targets
+        this.controlledTargets.forEach(name => this.targetInfluences[name] = 0);
 
-        // Set target viseme
-        this.targetInfluences[visemeName] = intensity;
+        // Set target viseme (as an ARKit pose on ARKit-only models)
+        const mix = this.useArkitSynthesis ? this._toArkitMix({ [visemeName]: 1.0 }) : { [visemeName]: 1.0 };
+        for (const [name, weight] of Object.entries(mix)) {
+            this.targetInfluences[name] = weight * intensity;
+        }
 
         // Apply to all meshes
         this._applyToMeshes();
         this.currentViseme = visemeName;
-    },
+    }
 
     /**
-     * Smoothly blend to a viseme (UPDATED: smoother transitions)
+     * Smoothly blend to a viseme using time-based springs (see smoothing.js)
+     * @param {number|null} [blendFactor] - Legacy per-frame lerp factor, converted to a
+     *   response time; null = Smoothing.settings.responseMs
      */
-    blendToViseme(visemeId, blendFactor = 0.15, intensity = 0.8) {
-        const targetViseme = this.AZURE_TO_OCULUS[visemeId];
-        if (!targetViseme) return;
+    blendToViseme(visemeId, blendFactor = null, intensity = 0.8, progress = null) {
+        const mix = this.getVisemeMix(visemeId, progress);
+        if (!mix) return;
+
+        const targets = {};
+        for (const [name, weight] of Object.entries(mix)) {
+            targets[name] = weight * intensity;
+        }
+
+        this._blendTowardTargets(targets, this._responseMs(blendFactor, window.Smoothing.settings.responseMs));
+        this.currentViseme = this.AZURE_TO_OCULUS[visemeId];
+    }
+
+    /**
+     * Blend toward a coarticulated mix of the visemes around the playhead
+     * Looks ahead in the viseme queue so upcoming shapes (e.g. lip rounding) start early
+     * @param {Array<{visemeId: number, audioOffset: number}>} queue - Viseme timeline (ms)
+     * @param {number} index - Index of the most recently reached viseme (-1 if none yet)
+     * @param {number} elapsed - Current playback time in ms
+     * @param {number|null} [blendFactor] - Legacy per-frame lerp factor (see blendToViseme)
+     */
+    blendCoarticulated(queue, index, elapsed, blendFactor = null, intensity = 0.8) {
+        const weights = window.Coarticulation.computeWeights(
+            queue, index, elapsed, (id) => this.AZURE_TO_OCULUS[id]
+        );
+
+        const targets = {};
+        let dominant = null;
+        let dominantWeight = 0;
+
+        weights.forEach(({ visemeId, weight, start, end }) => {
+            // Diphthongs glide across their own segment
+            const progress = this.isDiphthong(visemeId)
+                ? Math.max(0, Math.min(1, (elapsed - start) / Math.max(end - start, 1)))
+                : null;
+
+            const mix = this.getVisemeMix(visemeId, progress);
+            if (!mix) return;
+
+            for (const [name, targetWeight] of Object.entries(mix)) {
+                targets[name] = (targets[name] || 0) + weight * targetWeight * intensity;
+            }
+            if (weight > dominantWeight) {
+                dominant = this.AZURE_TO_OCULUS[visemeId];
+                dominantWeight = weight;
+            }
+        });
+
+        this._blendTowardTargets(targets, this._responseMs(blendFactor, window.Smoothing.settings.responseMs));
+        if (dominant) {
+            this.currentViseme = dominant;
+        }
+    }
+
+    /**
+     * Internal: Spring influences toward targets by the real frame delta, then apply to meshes
+     * @param {Object<string, number>} targets - Target name -> influence (missing = 0)
+     * @param {number} responseMs - Approximate settle time
+     */
+    _blendTowardTargets(targets, responseMs) {
+        const dt = this.clock.tick();
+        const closure = this.activeClosure;
+
+        if (closure) {
+            targets = this._applyClosureTargets(targets);
+            responseMs = Math.min(responseMs, this.closureSettings.approachMs / 2);
+        }
+
+        this.controlledTargets.forEach(name => {
+            const target = targets[name] || 0;
+            let value = this.springs.step(name, this.targetInfluences[name], target, dt, responseMs);
 
-        // Smoother exponential decay for other visemes
-        this.OCULUS_VISEMES.forEach(v => {
-            const target = (v === targetViseme) ? intensity : 0;
-            // Smooth interpolation with lower blend factor
-            this.targetInfluences[v] += (target - this.targetInfluences[v]) * blendFactor;
             // Clamp very small values to 0
-            if (this.targetInfluences[v] < 0.01) this.targetInfluences[v] = 0;
+            if (value < 0.01) {
+                value = 0;
+                if (target < 0.01) this.springs.settle(name);
+            }
+
+            // While holding, the closure pose never drops below its floor
+            if (closure?.holding && closure.mix[name]) {
+                const floor = closure.mix[name] * this.closureSettings.minWeight;
+                if (value < floor) {
+                    value = floor;
+                    this.springs.settle(name);
+                }
+            }
+            this.targetInfluences[name] = value;
         });
 
         this._applyToMeshes();
-        this.currentViseme = targetViseme;
-    },
+    }
 
     /**
      * Internal: Apply current influences to all meshes with corrections
      */
     _applyToMeshes() {
         this.meshMappings.forEach((meshData, mesh) => {
-            const { visemeIndices, jawIndices, influences } = meshData;
+            const { targetIndices, jawIndices, influences } = meshData;
 
             // Apply viseme influences
-            this.OCULUS_VISEMES.forEach(v => {
-                if (visemeIndices[v] !== undefined) {
-                    influences[visemeIndices[v]] = this.targetInfluences[v];
+            this.controlledTargets.forEach(name => {
+                if (targetIndices[name] !== undefined) {
+                    influences[targetIndices[name]] = this.targetInfluences[name];
                 }
             });
 
@@ -203,7 +750,90 @@ const VisemeMapper = {
         if (this.corrections.teethSync && this.headMesh && this.teethMesh) {
             this._syncTeethWithHead();
         }
-    },
+
+        this._applyTongue();
+        this._applyJaw();
+    }
+
+    /**
+     * Attach the avatar's jaw bone driver
+     */
+    setJawBone(driver) {
+        this.jawBone = driver;
+    }
+
+    /**
+     * Attach the avatar's morph compositor (takes effect on the next initialize)
+     */
+    setCompositor(compositor) {
+        this.compositor = compositor;
+    }
+
+    /**
+     * Internal: Array this mapper writes a mesh's influences into
+     */
+    _getInfluences(mesh) {
+        return this.compositor ? this.compositor.getLayerValues(this.LAYER, mesh) : mesh.morphTargetInfluences;
+    }
+
+    /**
+     * Internal: Rotate the jaw bone from the current mix
+     * Oculus visemes contribute the jawOpen weight of their ARKit pose;
+     * jawOpen channels (ARKit synthesis, profiles) count directly
+     */
+    _applyJaw() {
+        if (!this.jawBone) return;
+
+        let openness = this.targetInfluences.jawOpen || 0;
+        this.OCULUS_VISEMES.forEach(name => {
+            const jawOpen = this.OCULUS_TO_ARKIT[name]?.jawOpen;
+            if (jawOpen) {
+                openness += (this.targetInfluences[name] || 0) * jawOpen;
+            }
+        });
+
+        this.jawBone.apply(openness);
+    }
+
+    /**
+     * Internal: Drive tongue morphs or bone from the tongue pose channels
+     */
+    _applyTongue() {
+        if (!this.tongueRig) return;
+
+        const { morphs, bone, rest } = this.tongueRig;
+        const influences = this.tongueMesh ? this._getInfluences(this.tongueMesh) : null;
+        const rotation = { x: 0, y: 0, z: 0 };
+        const morphValues = new Map();
+
+        for (const [pose, { bone: delta }] of Object.entries(this.TONGUE_POSES)) {
+            const weight = this.targetInfluences[this.TONGUE_CHANNEL_PREFIX + pose] || 0;
+
+            if (morphs[pose]) {
+                morphs[pose].forEach(([index, morphWeight]) => {
+                    morphValues.set(index, (morphValues.get(index) || 0) + weight * morphWeight);
+                });
+                continue;
+            }
+
+            // No morph for this pose: the bone does it
+            rotation.x += delta.x * weight;
+            rotation.y += delta.y * weight;
+            rotation.z += delta.z * weight;
+        }
+
+        if (influences) {
+            morphValues.forEach((value, index) => {
+                influences[index] = Math.min(1, value);
+            });
+        }
+
+        if (bone) {
+            bone.rotation.x = rest.x + rotation.x;
+            bone.rotation.y = rest.y + rotation.y;
+            bone.rotation.z = rest.z + rotation.z;
+        }
+    }
 
     /**
      * Sync teeth mesh morph targets with head mesh
@@ -231,44 +861,64 @@ const VisemeMapper = {
             }
         });
 
-        // Sync visemes on teeth
-        this.OCULUS_VISEMES.forEach(v => {
-            const headIdx = headData.visemeIndices[v];
-            const teethIdx = teethData.visemeIndices[v];
+        // Sync visemes (and profile targets) on teeth
+        this.controlledTargets.forEach(name => {
+            const headIdx = headData.targetIndices[name];
+            const teethIdx = teethData.targetIndices[name];
 
             if (headIdx !== undefined && teethIdx !== undefined) {
                 teethData.influences[teethIdx] = headData.influences[headIdx];
             }
         });
-    },
+    }
 
     /**
      * Reset all visemes to neutral
      */
     reset() {
-        this.OCULUS_VISEMES.forEach(v => this.targetInfluences[v] = 0);
+        this.controlledTargets.forEach(name => this.targetInfluences[name] = 0);
+        this.springs.reset();
 
         this.meshMappings.forEach((meshData) => {
-            const { visemeIndices, influences } = meshData;
-            this.OCULUS_VISEMES.forEach(v => {
-                if (visemeIndices[v] !== undefined) {
-                    influences[visemeIndices[v]] = 0;
+            const { targetIndices, influences } = meshData;
+            this.controlledTargets.forEach(name => {
+                if (targetIndices[name] !== undefined) {
+                    influences[targetIndices[name]] = 0;
                 }
             });
         });
+        this._applyTongue();
+        this._applyJaw();
 
+        this.activeClosure = null;
         this.currentViseme = null;
-    },
+    }
 
     /**
      * Smoothly return to neutral
+     * @param {number|null} [blendFactor] - Legacy per-frame lerp factor; null = Smoothing.settings.neutralResponseMs
      */
-    blendToNeutral(blendFactor = 0.2) {
-        this.OCULUS_VISEMES.forEach(v => {
-            this.targetInfluences[v] *= (1 - blendFactor);
-        });
-        this._applyToMeshes();
-    },
+    blendToNeutral(blendFactor = null) {
+        this.activeClosure = null;
+        this._blendTowardTargets({}, this._responseMs(blendFactor, window.Smoothing.settings.neutralResponseMs));
+    }
+
+    /**
+     * Internal: Spring response time for a legacy blend factor argument
+     */
+    _responseMs(blendFactor, defaultMs) {
+        return blendFactor === null || blendFactor === undefined
+            ? defaultMs
+            : window.Smoothing.responseFromLerp(blendFactor);
+    }
+
+    /**
+     * Adjust lip closure enforcement
+     */
+    setClosureSettings(settings) {
+        Object.assign(this.closureSettings, settings);
+        console.log('VisemeMapper closure settings updated:', this.closureSettings);
+    }
 
     /**
      * Adjust correction settings
@@ -276,7 +926,7 @@ const VisemeMapper = {
     setCorrectionSettings(settings) {
         Object.assign(this.corrections, settings);
         console.log('VisemeMapper corrections updated:', this.corrections);
-    },
+    }
 
     /**
      * Get current state for debugging
@@ -286,10 +936,13 @@ const VisemeMapper = {
             currentViseme: this.currentViseme,
             influences: { ...this.targetInfluences },
             corrections: { ...this.corrections },
+            profile: this.profile ? this.profile.name : 'built-in',
+            arkitSynthesis: this.useArkitSynthesis,
+            jawBone: this.jawBone?.bone ? this.jawBone.bone.name : null,
             meshCount: this.meshMappings.size
         };
     }
-};
+}
 
 // Make available globally
 window.VisemeMapper = VisemeMapper;